@@ -0,0 +1,417 @@
+/**
+ * Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Debouncing and throttling with the same semantics as lodash's
+ * debounce() and throttle(), except that the wrapped function runs in
+ * prioritized tasks posted to a scheduler, rather than synchronously or in
+ * timers.
+ */
+
+import {reportError} from './runtime.js';
+import {EXTENDED_SCHEDULER_PRIORITIES} from './scheduler-priorities.js';
+import {TaskSignal} from './task-controller.js';
+
+/**
+ * Implements the timing logic of a debounced function, using delayed tasks as
+ * timers. Each timer is aborted with its own controller once it is superseded,
+ * e.g. by cancel(), or has run.
+ */
+class Debouncer {
+  /**
+   * @param {!Object} scheduler The scheduler to post tasks to.
+   * @param {!Function} func The function to debounce.
+   * @param {?{wait: (number|undefined), leading: (boolean|undefined),
+   *           trailing: (boolean|undefined), maxWait: (number|undefined),
+   *           priority: (string|undefined),
+   *           signal: (AbortSignal|undefined)}=} options See debounce().
+   */
+  constructor(scheduler, func, options) {
+    if (scheduler == null || typeof scheduler.postTask !== 'function') {
+      throw new TypeError(`'scheduler' is not a valid 'Scheduler'`);
+    }
+    if (typeof func !== 'function') {
+      throw new TypeError(`'func' is not a function`);
+    }
+    if (options == null) options = {};
+    if (typeof options !== 'object') {
+      throw new TypeError('\'options\' must be an object.');
+    }
+    const wait = Number(options.wait || 0);
+    if (!(wait >= 0)) {
+      throw new TypeError(`'wait' must be a positive number.`);
+    }
+    let maxWait;
+    if (options.maxWait !== undefined) {
+      maxWait = Number(options.maxWait);
+      if (!(maxWait >= 0)) {
+        throw new TypeError(`'maxWait' must be a positive number.`);
+      }
+      maxWait = Math.max(maxWait, wait);
+    }
+    const signal = options.signal;
+    if (signal !== undefined && (signal === null || !('aborted' in signal) ||
+        typeof signal.addEventListener !== 'function')) {
+      throw new TypeError(`'signal' is not a valid 'AbortSignal'`);
+    }
+    let priority = options.priority;
+    if (priority !== undefined &&
+        !EXTENDED_SCHEDULER_PRIORITIES.includes(priority)) {
+      throw new TypeError(`Invalid task priority: '${priority}'`);
+    }
+    // Set the priority explicitly, so that tasks don't inherit it from the
+    // task that calls the debounced function.
+    if (priority === undefined && !(signal && signal.priority)) {
+      priority = 'user-visible';
+    }
+
+    /**
+     * @private
+     * @const {!Object}
+     */
+    this.scheduler_ = scheduler;
+
+    /**
+     * @private
+     * @const {!Function}
+     */
+    this.func_ = func;
+
+    /**
+     * @private
+     * @const {number}
+     */
+    this.wait_ = wait;
+
+    /**
+     * @private
+     * @const {number|undefined}
+     */
+    this.maxWait_ = maxWait;
+
+    /**
+     * @private
+     * @const {boolean}
+     */
+    this.leading_ = Boolean(options.leading);
+
+    /**
+     * @private
+     * @const {boolean}
+     */
+    this.trailing_ =
+        options.trailing === undefined ? true : Boolean(options.trailing);
+
+    /**
+     * @private
+     * @const {!Object}
+     */
+    this.taskOptions_ = {priority, signal};
+
+    /**
+     * The arguments and `this` of the last call that hasn't been handled yet,
+     * or null.
+     * @private
+     * @type {?{args: !Array<*>, thisArg: *}}
+     */
+    this.lastCall_ = null;
+
+    /**
+     * @private
+     * @type {number|undefined}
+     */
+    this.lastCallTime_ = undefined;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.lastInvokeTime_ = 0;
+
+    /**
+     * Aborts the pending timer.
+     * @private
+     * @type {?AbortController}
+     */
+    this.timerController_ = null;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.isTimerPending_ = false;
+  }
+
+  /**
+   * Handles a call of the debounced function.
+   * @param {*} thisArg
+   * @param {!Array<*>} args
+   */
+  call(thisArg, args) {
+    if (this.isAborted_()) return;
+    const time = this.now_();
+    const isInvoking = this.shouldInvoke_(time);
+    this.lastCall_ = {args, thisArg};
+    this.lastCallTime_ = time;
+
+    if (isInvoking) {
+      if (!this.isTimerPending_) {
+        // Leading edge.
+        this.lastInvokeTime_ = time;
+        this.startTimer_(this.wait_);
+        if (this.leading_) this.postInvoke_();
+        return;
+      }
+      if (this.maxWait_ !== undefined) {
+        // Invoke in a tight loop, i.e. more often than every `maxWait`.
+        this.startTimer_(this.wait_);
+        this.lastInvokeTime_ = time;
+        this.postInvoke_();
+        return;
+      }
+    }
+    if (!this.isTimerPending_) this.startTimer_(this.wait_);
+  }
+
+  /**
+   * Cancels the pending invocation, if any.
+   */
+  cancel() {
+    this.clearTimer_();
+    this.isTimerPending_ = false;
+    this.lastCall_ = null;
+    this.lastCallTime_ = undefined;
+    this.lastInvokeTime_ = 0;
+  }
+
+  /**
+   * Synchronously runs the pending trailing invocation, if any.
+   */
+  flush() {
+    if (!this.isTimerPending_ || this.isAborted_()) return;
+    this.clearTimer_();
+    this.trailingEdge_(this.now_());
+  }
+
+  /**
+   * @return {boolean} Whether an invocation is pending.
+   */
+  isPending() {
+    return this.isTimerPending_ && !this.isAborted_();
+  }
+
+  /**
+   * Returns the scheduler's current time, which is virtual for test
+   * schedulers.
+   * @private
+   * @return {number}
+   */
+  now_() {
+    return typeof this.scheduler_.now === 'function' ?
+        this.scheduler_.now() : performance.now();
+  }
+
+  /**
+   * @private
+   * @return {boolean}
+   */
+  isAborted_() {
+    const signal = this.taskOptions_.signal;
+    return Boolean(signal && signal.aborted);
+  }
+
+  /**
+   * @private
+   * @param {number} time
+   * @return {boolean}
+   */
+  shouldInvoke_(time) {
+    if (this.lastCallTime_ === undefined) return true;
+    const timeSinceLastCall = time - this.lastCallTime_;
+    return timeSinceLastCall >= this.wait_ || timeSinceLastCall < 0 ||
+        (this.maxWait_ !== undefined &&
+         time - this.lastInvokeTime_ >= this.maxWait_);
+  }
+
+  /**
+   * Posts a delayed task that handles the trailing edge, replacing the current
+   * timer.
+   * @private
+   * @param {number} delay
+   */
+  startTimer_(delay) {
+    this.clearTimer_();
+    this.isTimerPending_ = true;
+    const controller = new AbortController();
+    this.timerController_ = controller;
+
+    // The timer also follows the priority of, and is aborted with, the
+    // signal it is posted with.
+    let signal = this.taskOptions_.signal;
+    signal = signal ? TaskSignal.any([controller.signal, signal], {
+      priority: signal.priority ? signal : undefined,
+    }) : controller.signal;
+    this.scheduler_.postTask(() => {
+      // The timer is done once it runs, so restarting it in this task doesn't
+      // abort the task.
+      this.timerController_ = null;
+      this.onTimerExpired_();
+    }, Object.assign({}, this.taskOptions_, {delay, signal})).then(() => {
+      // Stop following the signal it was posted with.
+      controller.abort();
+    }, () => {
+      // The timer or the signal was aborted.
+    });
+  }
+
+  /**
+   * Aborts the pending timer, if any.
+   * @private
+   */
+  clearTimer_() {
+    if (!this.timerController_) return;
+    this.timerController_.abort();
+    this.timerController_ = null;
+  }
+
+  /**
+   * @private
+   */
+  onTimerExpired_() {
+    const time = this.now_();
+    if (this.shouldInvoke_(time)) {
+      this.trailingEdge_(time);
+      return;
+    }
+    const timeWaiting = this.wait_ - (time - this.lastCallTime_);
+    this.startTimer_(this.maxWait_ === undefined ? timeWaiting :
+        Math.min(timeWaiting, this.maxWait_ - (time - this.lastInvokeTime_)));
+  }
+
+  /**
+   * @private
+   * @param {number} time
+   */
+  trailingEdge_(time) {
+    this.isTimerPending_ = false;
+    if (this.trailing_ && this.lastCall_) {
+      this.lastInvokeTime_ = time;
+      this.invoke_(this.takeLastCall_());
+    }
+    this.lastCall_ = null;
+  }
+
+  /**
+   * Posts a task that invokes the function with the last call's arguments.
+   * @private
+   */
+  postInvoke_() {
+    const call = this.takeLastCall_();
+    this.scheduler_.postTask(() => this.invoke_(call), this.taskOptions_)
+        .catch(() => {
+          // The signal was aborted.
+        });
+  }
+
+  /**
+   * @private
+   * @return {{args: !Array<*>, thisArg: *}}
+   */
+  takeLastCall_() {
+    const call = this.lastCall_;
+    this.lastCall_ = null;
+    return call;
+  }
+
+  /**
+   * Invokes the function, reporting exceptions rather than rejecting the task,
+   * since there's no one to handle the rejection.
+   * @private
+   * @param {{args: !Array<*>, thisArg: *}} call
+   */
+  invoke_(call) {
+    try {
+      this.func_.apply(call.thisArg, call.args);
+    } catch (e) {
+      reportError(e);
+    }
+  }
+}
+
+/**
+ * Returns a debounced version of `func`, like lodash's debounce(), which is
+ * invoked in a task posted to `scheduler` once `wait` milliseconds have passed
+ * since the last call, and/or on the leading edge of that period, with the
+ * arguments of the last call. The returned function has `cancel()`, `flush()`
+ * and `pending()` methods.
+ *
+ * The options are:
+ *  - wait: The number of milliseconds to wait after the last call, or for
+ *    throttled functions, between calls.
+ *  - leading: Whether to invoke the function on the leading edge of `wait`.
+ *  - trailing: Whether to invoke the function on the trailing edge of `wait`.
+ *  - maxWait: The maximum number of milliseconds an invocation can be delayed.
+ *  - priority: The priority of the tasks that invoke the function.
+ *  - signal: An AbortSignal or TaskSignal for the tasks that invoke the
+ *    function. Aborting it cancels the debounced function for good.
+ *
+ * @param {!Object} scheduler
+ * @param {!Function} func
+ * @param {?{wait: (number|undefined), leading: (boolean|undefined),
+ *           trailing: (boolean|undefined), maxWait: (number|undefined),
+ *           priority: (string|undefined),
+ *           signal: (AbortSignal|undefined)}=} options
+ * @return {!Function}
+ */
+function debounce(scheduler, func, options) {
+  const debouncer = new Debouncer(scheduler, func, options);
+  /**
+   * @this {Object}
+   * @param {...*} args
+   */
+  const debounced = function(...args) {
+    debouncer.call(this, args);
+  };
+  debounced.cancel = () => debouncer.cancel();
+  debounced.flush = () => debouncer.flush();
+  debounced.pending = () => debouncer.isPending();
+  return debounced;
+}
+
+/**
+ * Returns a throttled version of `func`, like lodash's throttle(), which is
+ * invoked in a task posted to `scheduler` at most once every `wait`
+ * milliseconds, on the leading and trailing edges by default. See debounce().
+ *
+ * @param {!Object} scheduler
+ * @param {!Function} func
+ * @param {?{wait: (number|undefined), leading: (boolean|undefined),
+ *           trailing: (boolean|undefined), priority: (string|undefined),
+ *           signal: (AbortSignal|undefined)}=} options `maxWait` is ignored.
+ * @return {!Function}
+ */
+function throttle(scheduler, func, options) {
+  if (options == null) options = {};
+  if (typeof options !== 'object') {
+    throw new TypeError('\'options\' must be an object.');
+  }
+  return debounce(scheduler, func, Object.assign({
+    leading: true,
+    trailing: true,
+  }, options, {maxWait: options.wait || 0}));
+}
+
+export {debounce, throttle};
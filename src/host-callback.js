@@ -14,29 +14,41 @@
  * limitations under the License.
  */
 
-import {SCHEDULER_PRIORITIES} from './scheduler-priorities.js';
+/* global setImmediate, clearImmediate */
+
+import {
+  canCheckInputPending,
+  canUnrefTimers,
+  getNativeScheduler,
+  globalScope,
+  isInputPending,
+  unrefTimer,
+} from './runtime.js';
+import {EXTENDED_SCHEDULER_PRIORITIES} from './scheduler-priorities.js';
 
 /**
- * This class manages scheduling and running callbacks using postMessage.
- * @private
+ * This class manages scheduling and running callbacks using postMessage. It
+ * implements the HostCallbackStrategy interface.
  */
 class PostMessageCallbackMananger {
   /**
    * Construct a PostMessageCallbackMananger, which handles scheduling
-   * and running callbacks via a MessageChannel.
+   * and running callbacks via a MessageChannel. The MessageChannel is lazily
+   * created when the first callback is queued, to avoid errors if
+   * MessageChannel is not available.
    */
   constructor() {
     /**
      * @private
-     * @const {!MessageChannel}
+     * @type {?MessageChannel}
      */
-    this.channel_ = new MessageChannel();
+    this.channel_ = null;
 
     /**
      * @private
-     * @const {MessagePort}
+     * @type {?MessagePort}
      */
-    this.sendPort_ = this.channel_.port2;
+    this.sendPort_ = null;
 
     /**
      * @private
@@ -49,15 +61,19 @@ class PostMessageCallbackMananger {
      * @type {number}
      */
     this.nextMessageHandle_ = 1;
-
-    this.channel_.port1.onmessage = (e) => this.onMessageReceived_(e);
   }
 
   /**
    * @param {function(): undefined} callback
    * @return {number} A handle that can used for cancellation.
    */
-  queueCallback_(callback) {
+  queueCallback(callback) {
+    if (!this.channel_) {
+      this.channel_ = new MessageChannel();
+      this.sendPort_ = this.channel_.port2;
+      this.channel_.port1.onmessage = (e) => this.onMessageReceived_(e);
+    }
+
     // We support multiple pending postMessage callbacks by associating a handle
     // with each message, which is used to look up the callback when the message
     // is received.
@@ -70,7 +86,7 @@ class PostMessageCallbackMananger {
   /**
    * @param {number} handle The handle returned when the callback was queued.
    */
-  cancelCallback_(handle) {
+  cancelCallback(handle) {
     delete this.messages_[handle];
   }
 
@@ -90,53 +106,279 @@ class PostMessageCallbackMananger {
 }
 
 /**
- * Get the lazily initialized instance of PostMessageCallbackMananger, which
- * is initialized that way to avoid errors if MessageChannel is not available.
- *
- * @return {!PostMessageCallbackMananger}
+ * Schedules callbacks with requestIdleCallback, passing the IdleDeadline to
+ * callbacks.
+ * @const {!HostCallbackStrategy}
+ */
+const idleCallbackStrategy = {
+  queueCallback: (callback, delay, timeout) => {
+    return requestIdleCallback(callback, timeout > 0 ? {timeout} : undefined);
+  },
+  cancelCallback: (handle) => cancelIdleCallback(handle),
+};
+
+/**
+ * Schedules callbacks with setTimeout.
+ * @const {!HostCallbackStrategy}
+ */
+const setTimeoutStrategy = {
+  queueCallback: (callback, delay) => setTimeout(callback, delay),
+  cancelCallback: (handle) => clearTimeout(handle),
+};
+
+/**
+ * Schedules callbacks with unref'd timers, which don't keep server runtimes
+ * like Node.js alive.
+ * @const {!HostCallbackStrategy}
+ */
+const backgroundTimerStrategy = {
+  queueCallback: (callback, delay) => {
+    const handle = setTimeout(callback, delay);
+    unrefTimer(handle);
+    return handle;
+  },
+  cancelCallback: (handle) => clearTimeout(handle),
+};
+
+/**
+ * Schedules callbacks with setImmediate (e.g. Node.js).
+ * @const {!HostCallbackStrategy}
+ */
+const setImmediateStrategy = {
+  queueCallback: (callback) => setImmediate(callback),
+  cancelCallback: (handle) => clearImmediate(handle),
+};
+
+/**
+ * Schedules callbacks with requestAnimationFrame, i.e. just before the next
+ * frame is rendered. Note that animation frames aren't run in hidden pages.
+ * @const {!HostCallbackStrategy}
+ */
+const animationFrameStrategy = {
+  queueCallback: (callback) => requestAnimationFrame(() => callback()),
+  cancelCallback: (handle) => cancelAnimationFrame(handle),
+};
+
+/**
+ * Schedules callbacks with postMessage, using a MessageChannel shared by all
+ * schedulers that aren't isolated.
+ * @const {!PostMessageCallbackMananger}
+ */
+const postMessageStrategy = new PostMessageCallbackMananger();
+
+/**
+ * Schedules callbacks as 'user-blocking' tasks with the native scheduler, which
+ * run before other tasks on the event loop. Callbacks are canceled by aborting
+ * the native TaskController associated with them.
+ * @const {!HostCallbackStrategy}
  */
-function getPostMessageCallbackManager() {
-  if (!getPostMessageCallbackManager.instance_) {
-    getPostMessageCallbackManager.instance_ = new PostMessageCallbackMananger();
+const nativePostTaskStrategy = {
+  queueCallback: (callback) => {
+    const scheduler = getNativeScheduler();
+    const controller =
+        new globalScope.TaskController({priority: 'user-blocking'});
+    globalScope.Scheduler.prototype.postTask.call(scheduler, () => callback(),
+        {signal: controller.signal}).catch(() => {});
+    return controller;
+  },
+  cancelCallback: (controller) => controller.abort(),
+};
+
+/**
+ * The time budget for back-to-back microtask callbacks, in milliseconds, after
+ * which MicrotaskCallbackManager falls back to macrotasks until the event loop
+ * has had a chance to run other tasks.
+ * @const {number}
+ */
+const MICROTASK_BURST_BUDGET = 5;
+
+/**
+ * This class runs callbacks in microtasks, ahead of anything else queued on the
+ * event loop, as long as there is no pending input and the current burst of
+ * microtask callbacks hasn't used up its time budget. Otherwise callbacks run
+ * in macrotasks, so that input, rendering and other tasks aren't starved. It
+ * implements the HostCallbackStrategy interface.
+ */
+class MicrotaskCallbackManager {
+  /**
+   * @param {number=} budget The time budget for a burst of microtask
+   *     callbacks, in milliseconds.
+   */
+  constructor(budget = MICROTASK_BURST_BUDGET) {
+    /**
+     * @private
+     * @const {number}
+     */
+    this.budget_ = budget;
+
+    /**
+     * When the current burst of microtask callbacks runs out of time, or null
+     * if the event loop has run other tasks since the last microtask callback.
+     * @private
+     * @type {?number}
+     */
+    this.burstEndTime_ = null;
+  }
+
+  /**
+   * @param {function(): undefined} callback
+   * @return {!Object} A handle that can used for cancellation.
+   */
+  queueCallback(callback) {
+    if (!this.canRunInMicrotask_()) {
+      return {
+        macrotaskHandle: getDefaultStrategy('user-visible')
+            .queueCallback(callback, 0),
+      };
+    }
+    const handle = {canceled: false};
+    queueMicrotask(() => {
+      if (!handle.canceled) callback();
+    });
+    return handle;
+  }
+
+  /**
+   * @param {!Object} handle The handle returned when the callback was queued.
+   */
+  cancelCallback(handle) {
+    if ('macrotaskHandle' in handle) {
+      getDefaultStrategy('user-visible').cancelCallback(handle.macrotaskHandle);
+    } else {
+      handle.canceled = true;
+    }
+  }
+
+  /**
+   * Returns true iff the next callback can run in a microtask, starting a new
+   * burst if needed.
+   * @private
+   * @return {boolean}
+   */
+  canRunInMicrotask_() {
+    if (isInputPending()) return false;
+    const now = performance.now();
+    if (this.burstEndTime_ === null) {
+      this.burstEndTime_ = now + this.budget_;
+      // This runs once the burst is over and the event loop gets to run other
+      // tasks, at which point callbacks can run in microtasks again.
+      getDefaultStrategy('user-visible').queueCallback(() => {
+        this.burstEndTime_ = null;
+      }, 0);
+      return true;
+    }
+    return now < this.burstEndTime_;
   }
-  return getPostMessageCallbackManager.instance_;
 }
 
-/** @enum {number} */
-const CallbackType = {
-  REQUEST_IDLE_CALLBACK: 0,
-  SET_TIMEOUT: 1,
-  POST_MESSAGE: 2,
-};
+/**
+ * Schedules callbacks in microtasks, bounded by a time budget and pending
+ * input. See MicrotaskCallbackManager.
+ * @const {!MicrotaskCallbackManager}
+ */
+const microtaskStrategy = new MicrotaskCallbackManager();
+
+/**
+ * Returns the built-in strategy used for host callbacks of the given priority,
+ * based on the APIs available in the current environment.
+ *
+ * @param {?string} priority The scheduler priority of the host callback, or
+ *     null for delayed host callbacks.
+ * @return {!HostCallbackStrategy}
+ */
+function getDefaultStrategy(priority) {
+  // For the delay case, our only option is setTimeout. This gets queued at
+  // the appropriate priority when the callback runs.
+  if (priority === null) return setTimeoutStrategy;
+
+  // This shouldn't happen since Scheduler checks the priority before creating
+  // a HostCallback, but fail loudly in case it does.
+  if (!EXTENDED_SCHEDULER_PRIORITIES.includes(priority)) {
+    throw new TypeError(`Invalid task priority : ${priority}`);
+  }
+
+  // Run 'render-blocking' callbacks just before the next frame. Environments
+  // without frames use the 'user-blocking' strategy instead.
+  if (priority === 'render-blocking') {
+    if (typeof requestAnimationFrame === 'function') {
+      return animationFrameStrategy;
+    }
+    priority = 'user-blocking';
+  }
+
+  // Give 'user-blocking' callbacks precedence over other tasks on the event
+  // loop if possible, preferably with the native scheduler. Otherwise use
+  // microtasks, but only if pending input can be detected, so that input isn't
+  // delayed by the microtask callbacks.
+  if (priority === 'user-blocking') {
+    if (getNativeScheduler()) return nativePostTaskStrategy;
+    if (canCheckInputPending()) return microtaskStrategy;
+  }
+
+  if (priority === 'background') {
+    if (typeof requestIdleCallback === 'function') return idleCallbackStrategy;
+    // Server runtimes like Node.js don't have idle periods, so use timers for
+    // background callbacks. These are ref'd, so that the process stays alive
+    // until queued background tasks have run.
+    if (canUnrefTimers()) return setTimeoutStrategy;
+  }
+
+  // Use setImmediate if available (e.g. Node.js), which unlike
+  // MessageChannel doesn't keep the process alive and isn't subject to
+  // setTimeout's minimum delay.
+  if (typeof setImmediate === 'function') return setImmediateStrategy;
+
+  // Use MessageChannel if avaliable.
+  // TODO: Consider using setTimeout in the background so tasks are
+  // throttled. One caveat here is that requestIdleCallback may not be
+  // throttled.
+  if (typeof MessageChannel === 'function') return postMessageStrategy;
+
+  // Some JS environments may not support MessageChannel.
+  // This makes setTimeout the only option.
+  return setTimeoutStrategy;
+}
 
 /**
  * HostCallback is used for tracking host callbacks, both for the schedueler
- * entrypoint --- which can be a postMessage, setTimeout, or
- * requestIdleCallback --- and for delayed tasks.
+ * entrypoint --- which can be a postMessage, setImmediate, setTimeout,
+ * requestIdleCallback, requestAnimationFrame, or custom strategy --- and for
+ * delayed tasks.
  */
 class HostCallback {
   /**
-   * @param {function(): undefined} callback
+   * @param {function(?IdleDeadline=): undefined} callback The callback, which
+   *     is passed the IdleDeadline if it runs in an idle callback.
    * @param {?string} priority The scheduler priority of the associated host
    *     callback. This is used to determine which type of underlying API to
-   *     use. This can be null if delay is set.
+   *     use if `strategy` isn't provided. This can be null if delay is set.
    * @param {number} delay An optional delay. Tasks with a delay will
-   *     ignore the `priority` parameter and use setTimeout.
+   *     ignore the `priority` parameter and use setTimeout by default.
+   * @param {?HostCallbackStrategy} strategy The strategy used to queue and
+   *     cancel the callback, whose `queueCallback(callback, delay, timeout)`
+   *     queues `callback` and returns a handle, which is passed to
+   *     `cancelCallback(handle)` for cancellation. Idle callback strategies
+   *     can use `timeout` as the idle callback timeout, and pass the
+   *     IdleDeadline to `callback`. If null, the default strategy for
+   *     `priority` is used. See HostCallbackStrategy in types/ponyfill.d.ts.
+   * @param {number} timeout An optional hint for the maximum time the callback
+   *     should wait to run, used as the idle callback timeout.
    */
-  constructor(callback, priority, delay = 0) {
-    /** @const {function(): undefined} */
+  constructor(callback, priority, delay = 0, strategy = null, timeout = 0) {
+    /** @const {function(?IdleDeadline=): undefined} */
     this.callback_ = callback;
 
     /**
      * @private
-     * @type {CallbackType}
+     * @const {!HostCallbackStrategy}
      */
-    this.callbackType_ = null;
+    this.strategy_ = strategy ||
+        getDefaultStrategy(delay && delay > 0 ? null : priority);
 
     /**
      * Handle for cancellation, which is set when the callback is scheduled.
      * @private
-     * @type {?number}
+     * @type {*}
      */
     this.handle_ = null;
 
@@ -146,7 +388,16 @@ class HostCallback {
      */
     this.canceled_ = false;
 
-    this.schedule_(priority, delay);
+    this.schedule_(delay, timeout);
+  }
+
+  /**
+   * Returns true iff this task was scheduled with `strategy`.
+   * @param {!HostCallbackStrategy} strategy
+   * @return {boolean}
+   */
+  usesStrategy(strategy) {
+    return this.strategy_ === strategy;
   }
 
   /**
@@ -154,7 +405,15 @@ class HostCallback {
    * @return {boolean}
    */
   isIdleCallback() {
-    return this.callbackType_ === CallbackType.REQUEST_IDLE_CALLBACK;
+    return this.strategy_ === idleCallbackStrategy;
+  }
+
+  /**
+   * Returns true iff this task was scheduled with requestAnimationFrame.
+   * @return {boolean}
+   */
+  isAnimationFrameCallback_() {
+    return this.strategy_ === animationFrameStrategy;
   }
 
   /**
@@ -162,7 +421,24 @@ class HostCallback {
    * @return {boolean}
    */
   isMessageChannelCallback_() {
-    return this.callbackType_ === CallbackType.POST_MESSAGE;
+    return this.strategy_ instanceof PostMessageCallbackMananger;
+  }
+
+  /**
+   * Returns true iff this task was scheduled with setImmediate.
+   * @return {boolean}
+   */
+  isSetImmediateCallback_() {
+    return this.strategy_ === setImmediateStrategy;
+  }
+
+  /**
+   * Returns true iff this task was scheduled with setTimeout.
+   * @return {boolean}
+   */
+  isTimeoutCallback_() {
+    return this.strategy_ === setTimeoutStrategy ||
+        this.strategy_ === backgroundTimerStrategy;
   }
 
   /**
@@ -171,82 +447,41 @@ class HostCallback {
   cancel() {
     if (this.canceled_) return;
     this.canceled_ = true;
-
-    switch (this.callbackType_) {
-      case CallbackType.REQUEST_IDLE_CALLBACK:
-        cancelIdleCallback(this.handle_);
-        break;
-      case CallbackType.SET_TIMEOUT:
-        clearTimeout(this.handle_);
-        break;
-      case CallbackType.POST_MESSAGE:
-        getPostMessageCallbackManager().cancelCallback_(this.handle_);
-        break;
-      default:
-        throw new TypeError('Unknown CallbackType');
-    }
+    this.strategy_.cancelCallback(this.handle_);
   }
 
   /**
    * @private
-   * @param {?string} priority The scheduler priority of the associated host
-   *     callback. This is used to determine which type of underlying API to
-   *     use. This can be null if delay is set.
-   * @param {number} delay An optional delay. Tasks with a delay will
-   *     ignore the `priority` parameter and use setTimeout.
-   */
-  schedule_(priority, delay) {
-    // For the delay case, our only option is setTimeout. This gets queued at
-    // the appropriate priority when the callback runs. If the delay <= 0 and
-    // MessageChannel is available, we use postMessage below.
-    if (delay && delay > 0) {
-      this.callbackType_ = CallbackType.SET_TIMEOUT;
-      this.handle_ = setTimeout(() => {
-        this.runCallback_();
-      }, delay);
-      return;
-    }
-
-    // This shouldn't happen since Scheduler checks the priority before creating
-    // a HostCallback, but fail loudly in case it does.
-    if (!SCHEDULER_PRIORITIES.includes(priority)) {
-      throw new TypeError(`Invalid task priority : ${priority}`);
-    }
-
-    if (priority === 'background' &&
-        typeof requestIdleCallback === 'function') {
-      this.callbackType_ = CallbackType.REQUEST_IDLE_CALLBACK;
-      this.handle_ = requestIdleCallback(() => {
-        this.runCallback_();
-      });
-      return;
-    }
-
-    // Use MessageChannel if avaliable.
-    if (typeof MessageChannel === 'function') {
-      this.callbackType_ = CallbackType.POST_MESSAGE;
-      // TODO: Consider using setTimeout in the background so tasks are
-      // throttled. One caveat here is that requestIdleCallback may not be
-      // throttled.
-      this.handle_ = getPostMessageCallbackManager().queueCallback_(() => {
-        this.runCallback_();
-      });
-      return;
-    }
-
-    // Some JS environments may not support MessageChannel.
-    // This makes setTimeout the only option.
-    this.callbackType_ = CallbackType.SET_TIMEOUT;
-    this.handle_ = setTimeout(() => {
-      this.runCallback_();
-    });
+   * @param {number} delay An optional delay.
+   * @param {number} timeout An optional timeout hint.
+   */
+  schedule_(delay, timeout) {
+    this.handle_ = this.strategy_.queueCallback((deadline) => {
+      this.runCallback_(deadline);
+    }, delay && delay > 0 ? delay : 0, timeout && timeout > 0 ? timeout : 0);
   }
 
-  /** Run the associated callback. */
-  runCallback_() {
+  /**
+   * Run the associated callback.
+   * @param {?IdleDeadline=} deadline The IdleDeadline, for idle callbacks.
+   */
+  runCallback_(deadline) {
     if (this.canceled_) return;
-    this.callback_();
+    this.callback_(deadline);
   }
 }
 
-export {HostCallback};
+export {
+  HostCallback,
+  MicrotaskCallbackManager,
+  PostMessageCallbackMananger,
+  getDefaultStrategy,
+  animationFrameStrategy,
+  backgroundTimerStrategy,
+  idleCallbackStrategy,
+  microtaskStrategy,
+  nativePostTaskStrategy,
+  postMessageStrategy,
+  setImmediateStrategy,
+  setTimeoutStrategy,
+};
@@ -0,0 +1,141 @@
+/**
+ * Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * A binary min-heap of tasks, ordered by a numeric key, e.g. when they time
+ * out. Like IntrusiveTaskQueue, it stores its bookkeeping on the tasks, so that
+ * any task can be removed in logarithmic time.
+ *
+ * This adds the following properties to tasks it owns:
+ *  - th_index_: The index of the task in the heap.
+ *  - th_heap_: The heap the task is in, or null if it has been removed.
+ */
+class IntrusiveTaskHeap {
+  /**
+   * Constructs an empty IntrusiveTaskHeap.
+   * @param {function(!Object): number} getKey Returns the key of a task, which
+   *     must not change while the task is in the heap.
+   */
+  constructor(getKey) {
+    /**
+     * @private
+     * @const {function(!Object): number}
+     */
+    this.getKey_ = getKey;
+
+    /**
+     * @private
+     * @const {!Array<!Object>}
+     */
+    this.tasks_ = [];
+  }
+
+  /** @return {boolean} */
+  isEmpty() {
+    return this.tasks_.length === 0;
+  }
+
+  /** @param {!Object} task */
+  push(task) {
+    if (typeof task !== 'object') throw new TypeError('Task must be an Object');
+    task.th_heap_ = this;
+    task.th_index_ = this.tasks_.length;
+    this.tasks_.push(task);
+    this.siftUp_(task.th_index_);
+  }
+
+  /**
+   * @return {?Object} The task with the smallest key, without removing it, or
+   *     null if the heap is empty.
+   */
+  peek() {
+    return this.isEmpty() ? null : this.tasks_[0];
+  }
+
+  /**
+   * Removes `task` from this heap, if it is in this heap.
+   *
+   * @param {!Object} task
+   * @return {boolean} True iff the task was removed.
+   */
+  remove(task) {
+    if (task == null || task.th_heap_ !== this) return false;
+    const index = task.th_index_;
+    const last = this.tasks_.pop();
+    if (last !== task) {
+      this.set_(index, last);
+      this.siftUp_(index);
+      this.siftDown_(last.th_index_);
+    }
+    task.th_heap_ = null;
+    return true;
+  }
+
+  /**
+   * Moves the task at `index` up until its parent's key isn't larger.
+   * @private
+   * @param {number} index
+   */
+  siftUp_(index) {
+    const task = this.tasks_[index];
+    const key = this.getKey_(task);
+    while (index > 0) {
+      const parentIndex = (index - 1) >> 1;
+      const parent = this.tasks_[parentIndex];
+      if (this.getKey_(parent) <= key) break;
+      this.set_(index, parent);
+      index = parentIndex;
+    }
+    this.set_(index, task);
+  }
+
+  /**
+   * Moves the task at `index` down until neither child's key is smaller.
+   * @private
+   * @param {number} index
+   */
+  siftDown_(index) {
+    const task = this.tasks_[index];
+    const key = this.getKey_(task);
+    const length = this.tasks_.length;
+    for (;;) {
+      let childIndex = 2 * index + 1;
+      if (childIndex >= length) break;
+      if (childIndex + 1 < length &&
+          this.getKey_(this.tasks_[childIndex + 1]) <
+          this.getKey_(this.tasks_[childIndex])) {
+        childIndex++;
+      }
+      const child = this.tasks_[childIndex];
+      if (this.getKey_(child) >= key) break;
+      this.set_(index, child);
+      index = childIndex;
+    }
+    this.set_(index, task);
+  }
+
+  /**
+   * @private
+   * @param {number} index
+   * @param {!Object} task
+   */
+  set_(index, task) {
+    this.tasks_[index] = task;
+    task.th_index_ = index;
+  }
+}
+
+export {IntrusiveTaskHeap};
@@ -34,6 +34,7 @@ let nextSequence = 0;
  *  - tq_sequence_: The overall queueing order.
  *  - tq_prev_: A pointer to the previous task.
  *  - tq_next_: A pointer to the next task.
+ *  - tq_queue_: The queue the task is in, or null if it has been removed.
  */
 class IntrusiveTaskQueue {
   /**
@@ -73,9 +74,18 @@ class IntrusiveTaskQueue {
     }
 
     task.tq_next_ = null;
+    task.tq_queue_ = this;
     this.tail_ = task;
   }
 
+  /**
+   * @return {?Object} The oldest task, without removing it, or null if the
+   *     queue is empty.
+   */
+  peekNextTask() {
+    return this.head_;
+  }
+
   /** @return {?Object} The oldest task or null of the queue is empty. */
   takeNextTask() {
     if (this.isEmpty()) return null;
@@ -84,6 +94,18 @@ class IntrusiveTaskQueue {
     return task;
   }
 
+  /**
+   * Removes `task` from this queue, if it is in this queue.
+   *
+   * @param {!Object} task
+   * @return {boolean} True iff the task was removed.
+   */
+  remove(task) {
+    if (task == null || task.tq_queue_ !== this) return false;
+    this.remove_(task);
+    return true;
+  }
+
   /**
    * Merges all tasks from `sourceQueue` into this task queue for which
    * `selector` returns true . Tasks are insterted into this queue based on
@@ -146,6 +168,7 @@ class IntrusiveTaskQueue {
     nextTask.tq_prev_ = task;
 
     task.tq_prev_ = parentTask;
+    task.tq_queue_ = this;
 
     if (parentTask != null) {
       parentTask.tq_next_ = task;
@@ -164,6 +187,11 @@ class IntrusiveTaskQueue {
     if (task === this.tail_) this.tail_ = this.tail_.tq_prev_;
     if (task.tq_next_) task.tq_next_.tq_prev_ = task.tq_prev_;
     if (task.tq_prev_) task.tq_prev_.tq_next_ = task.tq_next_;
+    // Clear the pointers so removed tasks don't keep the rest of the queue
+    // alive.
+    task.tq_prev_ = null;
+    task.tq_next_ = null;
+    task.tq_queue_ = null;
   }
 }
 
@@ -13,16 +13,19 @@
  * See the License for the specific language governing permissions and
  * limitations under the License.
  */
+import {globalScope} from './runtime.js';
 import {Scheduler} from './scheduler.js';
 import {TaskController, TaskSignal, TaskPriorityChangeEvent}
   from './task-controller.js';
 import {schedulerYield} from './yield.js';
 
-if (typeof self.scheduler === 'undefined') {
-  self.scheduler = new Scheduler();
-  self.TaskController = TaskController;
-  self.TaskSignal = TaskSignal;
-  self.TaskPriorityChangeEvent = TaskPriorityChangeEvent;
-} else if (!self.scheduler.yield) {
-  self.scheduler.yield = schedulerYield;
+if (typeof globalScope.scheduler === 'undefined') {
+  globalScope.scheduler = new Scheduler();
+  globalScope.TaskController = TaskController;
+  globalScope.TaskSignal = TaskSignal;
+  globalScope.TaskPriorityChangeEvent = TaskPriorityChangeEvent;
+} else if (!globalScope.scheduler.yield) {
+  // The native postTask() is left alone, so continuations only inherit the
+  // context of tasks posted with a wrapPostTask() function.
+  globalScope.scheduler.yield = schedulerYield;
 }
@@ -0,0 +1,46 @@
+/**
+ * Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Side-effect-free entry point, which exports the polyfill
+ * implementation without modifying any globals.
+ *
+ * It also exports helpers that aren't part of the scheduler API, e.g.
+ * postPeriodicTask(), shouldYield(), debounce(), TaskGroup and TaskPool. These
+ * are only exported here, rather than installed on the global scheduler.
+ */
+
+export {
+  animationFrameStrategy,
+  backgroundTimerStrategy,
+  idleCallbackStrategy,
+  microtaskStrategy,
+  nativePostTaskStrategy,
+  postMessageStrategy,
+  setImmediateStrategy,
+  setTimeoutStrategy,
+} from './host-callback.js';
+export {debounce, throttle} from './debounce.js';
+export {Scheduler, postPeriodicTask, shouldYield} from './scheduler.js';
+export {
+  ExtendedTaskController as TaskController,
+  TaskSignal,
+  TaskPriorityChangeEvent,
+} from './task-controller.js';
+export {TaskGroup} from './task-group.js';
+export {TaskPool} from './task-pool.js';
+export {WorkerPool} from './worker-pool.js';
+export {bindSchedulerYield, wrapPostTask} from './yield.js';
@@ -0,0 +1,132 @@
+/**
+ * Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* global globalThis */
+
+/**
+ * @fileoverview Runtime detection, so the polyfill can run in windows, workers,
+ * Node.js and Deno.
+ */
+
+/**
+ * The global object of the current runtime, i.e. `window` or `self` in
+ * browsers and workers, and `global` in Node.js.
+ * @const {!Object}
+ */
+const globalScope = typeof globalThis === 'object' ? globalThis : self;
+
+/**
+ * Returns true iff timers can be unref'd in this runtime, i.e. prevented from
+ * keeping the process alive. This is the case for server runtimes like Node.js
+ * and Deno.
+ * @return {boolean}
+ */
+function canUnrefTimers() {
+  const {process, Deno} = globalScope;
+  if (process && process.versions && process.versions.node) return true;
+  return typeof Deno === 'object' && typeof Deno.unrefTimer === 'function';
+}
+
+/**
+ * Unrefs the timer identified by `handle`, if supported by the runtime.
+ * @param {*} handle The handle returned by setTimeout().
+ */
+function unrefTimer(handle) {
+  const {Deno} = globalScope;
+  if (handle && typeof handle.unref === 'function') {
+    handle.unref();
+  } else if (typeof Deno === 'object' &&
+      typeof Deno.unrefTimer === 'function') {
+    Deno.unrefTimer(handle);
+  }
+}
+
+/**
+ * Returns true iff `fn` is a function implemented by the runtime, rather than
+ * in JavaScript, e.g. by a polyfill.
+ * @param {*} fn
+ * @return {boolean}
+ */
+function isNativeFunction(fn) {
+  if (typeof fn !== 'function') return false;
+  const source = Function.prototype.toString.call(fn);
+  return /\{\s*\[native code\]\s*\}\s*$/.test(source);
+}
+
+/**
+ * Returns the native scheduler, or null if the runtime doesn't implement the
+ * scheduler API, e.g. if the global scheduler is the polyfill. The global
+ * scheduler's postTask() might be wrapped, so callers should use
+ * `Scheduler.prototype.postTask` to post native tasks.
+ * @return {?Object}
+ */
+function getNativeScheduler() {
+  const {Scheduler, TaskController, scheduler} = globalScope;
+  if (typeof Scheduler === 'function' && scheduler instanceof Scheduler &&
+      isNativeFunction(Scheduler.prototype.postTask) &&
+      isNativeFunction(TaskController)) {
+    return scheduler;
+  }
+  return null;
+}
+
+/**
+ * Returns true iff navigator.scheduling.isInputPending() is available.
+ * @return {boolean}
+ */
+function canCheckInputPending() {
+  const {navigator} = globalScope;
+  return typeof navigator === 'object' && navigator !== null &&
+      typeof navigator.scheduling === 'object' &&
+      navigator.scheduling !== null &&
+      typeof navigator.scheduling.isInputPending === 'function';
+}
+
+/**
+ * Returns true iff there is pending user input, which is always false if
+ * navigator.scheduling.isInputPending() isn't available.
+ * @return {boolean}
+ */
+function isInputPending() {
+  return canCheckInputPending() &&
+      Boolean(globalScope.navigator.scheduling.isInputPending());
+}
+
+/**
+ * Reports `error` to the global error handler without interrupting the caller,
+ * like an exception thrown from an event listener.
+ * @param {*} error
+ */
+function reportError(error) {
+  if (typeof globalScope.reportError === 'function') {
+    globalScope.reportError(error);
+  } else {
+    setTimeout(() => {
+      throw error;
+    });
+  }
+}
+
+export {
+  globalScope,
+  canCheckInputPending,
+  canUnrefTimers,
+  getNativeScheduler,
+  isInputPending,
+  isNativeFunction,
+  reportError,
+  unrefTimer,
+};
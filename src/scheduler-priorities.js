@@ -20,4 +20,14 @@
  */
 const SCHEDULER_PRIORITIES = ['user-blocking', 'user-visible', 'background'];
 
-export {SCHEDULER_PRIORITIES};
+/**
+ * The list of scheduler priorities including the opt-in 'render-blocking'
+ * priority, which runs just before the next frame, in order from highest to
+ * lowest. ExtendedTaskControllers accept any of these priorities, but only
+ * schedulers with the extended priorities enabled run 'render-blocking' tasks.
+ * @const {!Array<string>}
+ */
+const EXTENDED_SCHEDULER_PRIORITIES =
+    ['render-blocking'].concat(SCHEDULER_PRIORITIES);
+
+export {EXTENDED_SCHEDULER_PRIORITIES, SCHEDULER_PRIORITIES};
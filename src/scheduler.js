@@ -14,9 +14,42 @@
  * limitations under the License.
  */
 
-import {HostCallback} from './host-callback.js';
+import {
+  HostCallback,
+  PostMessageCallbackMananger,
+  backgroundTimerStrategy,
+  getDefaultStrategy,
+  postMessageStrategy,
+} from './host-callback.js';
+import {IntrusiveTaskHeap} from './intrusive-task-heap.js';
 import {IntrusiveTaskQueue as TaskQueue} from './intrusive-task-queue.js';
-import {SCHEDULER_PRIORITIES} from './scheduler-priorities.js';
+import {isInputPending, reportError} from './runtime.js';
+import {
+  EXTENDED_SCHEDULER_PRIORITIES,
+  SCHEDULER_PRIORITIES,
+} from './scheduler-priorities.js';
+
+/**
+ * How long a task can run before shouldYield() returns true, in milliseconds,
+ * if the scheduler doesn't use time slicing and the task doesn't run in an idle
+ * callback.
+ * @const {number}
+ */
+const DEFAULT_YIELD_INTERVAL = 5;
+
+/**
+ * Returns `concurrency` if it is a valid concurrency limit, i.e. a positive
+ * integer or Infinity, and throws otherwise.
+ * @param {*} concurrency
+ * @return {number}
+ */
+function validateConcurrency(concurrency) {
+  if (!(Number.isInteger(concurrency) && concurrency > 0) &&
+      concurrency !== Infinity) {
+    throw new TypeError(`'asyncConcurrency' must be a positive integer.`);
+  }
+  return concurrency;
+}
 
 /**
  * Polyfill of the scheduler API: https://wicg.github.io/scheduling-apis/.
@@ -25,15 +58,233 @@ class Scheduler {
   /**
    * Constructs a Scheduler object. There should only be one Scheduler per page
    * since tasks are only run in priority order within a particular scheduler.
+   *
+   * By default, each host callback runs a single task. If `timeSlice` is set,
+   * host callbacks keep running tasks until `timeSlice` milliseconds have
+   * elapsed, or in the case of idle callbacks, until the idle period is over.
+   *
+   * If `isolated` is set, the scheduler uses its own MessageChannel rather than
+   * sharing one with other schedulers.
+   *
+   * `hostCallbackStrategies` overrides how host callbacks are queued and
+   * canceled, keyed by priority, or 'delay' for delayed tasks. See
+   * HostCallbackStrategy. By default, the best available API is used for each
+   * priority.
+   *
+   * If `renderBlocking` is set, the scheduler supports the 'render-blocking'
+   * priority, which is higher than 'user-blocking' and runs tasks just before
+   * the next frame, using requestAnimationFrame by default. Otherwise tasks
+   * can't be posted with that priority, and tasks whose signal changes to it
+   * are run at 'user-blocking' priority.
+   *
+   * If `agingThreshold` is set, tasks that have been waiting to run for longer
+   * than `agingThreshold` milliseconds are run before other tasks, oldest
+   * first, regardless of priority. Host callbacks for such tasks are scheduled
+   * at least at 'user-visible' priority, so background tasks run even if the
+   * page is never idle. Tasks still run in order within each priority.
+   *
+   * If `inheritTaskContext` is set, tasks posted while a task is running
+   * default to the running task's priority and signal, rather than to
+   * 'user-visible' priority and no signal.
+   *
+   * If `trackAsyncTasks` is set, tasks whose callback returns a promise are
+   * considered in flight until that promise settles, and their result promise
+   * is rejected right away if their signal is aborted in the meantime.
+   * `asyncConcurrency` limits how many such tasks can be in flight at once,
+   * either overall or per priority, in which case further tasks of that
+   * priority wait, although continuations still run. Setting it implies
+   * `trackAsyncTasks`.
+   *
+   * If `reportTaskErrors` is set, errors thrown by task callbacks, or promises
+   * they return being rejected, are reported like uncaught exceptions with
+   * reportError(), in addition to rejecting the task's promise. Since the error
+   * is reported already, that rejection isn't also reported as unhandled.
+   * See also `onerror`.
+   *
+   * If `userTiming` is set, each task run is recorded as a performance
+   * measure, named after the task's priority and its `name` postTask() option,
+   * so that tasks show up in performance tools.
+   *
+   * @param {{timeSlice: (number|undefined),
+   *          isolated: (boolean|undefined),
+   *          hostCallbackStrategies: (!Object<string,
+   *              !HostCallbackStrategy>|undefined),
+   *          renderBlocking: (boolean|undefined),
+   *          agingThreshold: (number|undefined),
+   *          inheritTaskContext: (boolean|undefined),
+   *          trackAsyncTasks: (boolean|undefined),
+   *          asyncConcurrency: (number|!Object<string, number>|undefined),
+   *          reportTaskErrors: (boolean|undefined),
+   *          userTiming: (boolean|undefined)}=} options
    */
-  constructor() {
+  constructor(options = {}) {
+    if (options == null) options = {};
+    if (typeof options !== 'object') {
+      throw new TypeError(`'options' is not an object`);
+    }
+
+    /**
+     * The time budget for running tasks in a single host callback, in
+     * milliseconds. If this is 0, a single task is run per host callback.
+     * @private
+     * @const {number}
+     */
+    this.timeSlice_ = Number(options.timeSlice || 0);
+    if (!(this.timeSlice_ >= 0)) {
+      throw new TypeError(`'timeSlice' must be a positive number.`);
+    }
+
+    /**
+     * How long tasks can wait before they are run ahead of higher priority
+     * tasks, in milliseconds, or 0 if tasks are run in strict priority order.
+     * @private
+     * @const {number}
+     */
+    this.agingThreshold_ = Number(options.agingThreshold || 0);
+    if (!(this.agingThreshold_ >= 0)) {
+      throw new TypeError(`'agingThreshold' must be a positive number.`);
+    }
+
+    /**
+     * The priorities supported by this scheduler, from highest to lowest.
+     * @private
+     * @const {!Array<string>}
+     */
+    this.priorities_ = options.renderBlocking ?
+        EXTENDED_SCHEDULER_PRIORITIES : SCHEDULER_PRIORITIES;
+
+    /**
+     * The PostMessageCallbackMananger used for host callbacks, or null to use
+     * the one shared by all schedulers.
+     * @private
+     * @const {?PostMessageCallbackMananger}
+     */
+    this.postMessageCallbackManager_ =
+        options.isolated ? new PostMessageCallbackMananger() : null;
+
+    /**
+     * Host callback strategies that override the default ones, keyed by
+     * priority or 'delay'.
+     * @private
+     * @const {!Object<string, !HostCallbackStrategy>}
+     */
+    this.hostCallbackStrategies_ =
+        Object.assign({}, options.hostCallbackStrategies);
+    Object.keys(this.hostCallbackStrategies_).forEach((key) => {
+      if (key !== 'delay' && !EXTENDED_SCHEDULER_PRIORITIES.includes(key)) {
+        throw new TypeError(`Invalid task priority: '${key}'`);
+      }
+      const strategy = this.hostCallbackStrategies_[key];
+      if (strategy == null || typeof strategy.queueCallback !== 'function' ||
+          typeof strategy.cancelCallback !== 'function') {
+        throw new TypeError(
+            `'${key}' is not a valid host callback strategy`);
+      }
+    });
+
+    /**
+     * Whether tasks posted while a task is running default to its priority and
+     * signal.
+     * @private
+     * @const {boolean}
+     */
+    this.inheritTaskContext_ = Boolean(options.inheritTaskContext);
+
+    /**
+     * Whether tasks whose callback returns a promise are in flight until it
+     * settles.
+     * @private
+     * @const {boolean}
+     */
+    this.trackAsyncTasks_ = Boolean(options.trackAsyncTasks) ||
+        options.asyncConcurrency !== undefined;
+
+    /**
+     * The maximum number of async tasks in flight, per priority.
+     * @private
+     * @const {!Object<string, number>}
+     */
+    this.asyncConcurrency_ = {};
+
+    /**
+     * The number of async tasks in flight, per priority.
+     * @private
+     * @const {!Object<string, number>}
+     */
+    this.asyncTaskCounts_ = {};
+
+    this.priorities_.forEach((priority) => {
+      this.asyncConcurrency_[priority] = Infinity;
+      this.asyncTaskCounts_[priority] = 0;
+    });
+    const asyncConcurrency = options.asyncConcurrency;
+    if (typeof asyncConcurrency === 'object' && asyncConcurrency !== null) {
+      Object.keys(asyncConcurrency).forEach((priority) => {
+        if (!this.priorities_.includes(priority)) {
+          throw new TypeError(`Invalid task priority: '${priority}'`);
+        }
+        this.asyncConcurrency_[priority] =
+            validateConcurrency(asyncConcurrency[priority]);
+      });
+    } else if (asyncConcurrency !== undefined) {
+      const concurrency = validateConcurrency(asyncConcurrency);
+      this.priorities_.forEach((priority) => {
+        this.asyncConcurrency_[priority] = concurrency;
+      });
+    }
+
+    /**
+     * Async tasks in flight, mapped to the priority they were run at.
+     * @private
+     * @const {!Map<!Object, string>}
+     */
+    this.asyncTasks_ = new Map();
+
+    /**
+     * Whether to report task errors with reportError().
+     * @private
+     * @const {boolean}
+     */
+    this.reportTaskErrors_ = Boolean(options.reportTaskErrors);
+
+    /**
+     * Called synchronously with a record describing the failed task when a
+     * task's callback throws, or the promise it returns is rejected. The stack
+     * trace of the postTask() call is only captured while this is set.
+     *
+     * The record's properties are:
+     *  - error: The exception thrown by the task's callback, or the reason the
+     *    promise it returned was rejected with.
+     *  - id: A number identifying the task within its scheduler, as in
+     *    observer records.
+     *  - priority: The priority the task ran at.
+     *  - name: The task's `name` postTask() option, if any.
+     *  - postStack: The stack trace of the postTask() call, if `onerror` was
+     *    set when the task was posted.
+     *
+     * @type {?function(!{error: *, id: number, priority: string,
+     *                    name: (string|undefined),
+     *                    postStack: (string|undefined)})}
+     */
+    this.onerror = null;
+
+    /**
+     * Whether to emit User Timing marks and measures for task runs.
+     * @private
+     * @const {boolean}
+     */
+    this.userTiming_ = Boolean(options.userTiming) &&
+        typeof performance === 'object' &&
+        typeof performance.mark === 'function' &&
+        typeof performance.measure === 'function';
+
     /**
      * @const {Object<string, !TaskQueue[]>}
      *
      * Continuation and task queue for each priority, in that order.
      */
     this.queues_ = {};
-    SCHEDULER_PRIORITIES.forEach((priority) => {
+    this.priorities_.forEach((priority) => {
       this.queues_[priority] = [new TaskQueue(), new TaskQueue()];
     });
 
@@ -51,6 +302,32 @@ class Scheduler {
      */
     this.pendingHostCallback_ = null;
 
+    /**
+     * A delayed host callback that reschedules the pending host callback when
+     * the next task becomes overdue, because of aging or its `timeout`, if the
+     * pending host callback is a background one, which might not run for a
+     * long time.
+     * @private
+     * @type {?HostCallback}
+     */
+    this.overdueHostCallback_ = null;
+
+    /**
+     * When `overdueHostCallback_` is due, in milliseconds, or Infinity if there
+     * is none.
+     * @private
+     * @type {number}
+     */
+    this.overdueHostCallbackTime_ = Infinity;
+
+    /**
+     * Queued tasks that were posted with a `timeout`, ordered by when they
+     * time out.
+     * @private
+     * @const {!IntrusiveTaskHeap}
+     */
+    this.timeoutTasks_ = new IntrusiveTaskHeap((task) => task.timeoutTime);
+
     /**
      * This keeps track of signals we know about for priority changes. The
      * entries are (key = signal, value = current priority). When we encounter
@@ -59,17 +336,159 @@ class Scheduler {
      * @const {!WeakMap<!AbortSignal, string>}
      */
     this.signals_ = new WeakMap();
+
+    /**
+     * Pending tasks posted with a `key`, i.e. tasks that haven't started
+     * running yet, by key. Tasks are removed once they start or are aborted.
+     * @private
+     * @const {!Map<*, !Object>}
+     */
+    this.keyedTasks_ = new Map();
+
+    /**
+     * The task that is currently running, which continuations inherit their
+     * priority and signal from.
+     * @private
+     * @type {?Object}
+     */
+    this.currentTask_ = null;
+
+    /**
+     * The most recently started task, which shouldYield() considers to be
+     * running even after its callback returns, e.g. while code following an
+     * awaited yield() runs. It is cleared once the microtasks queued by the
+     * host callback that ran it have run.
+     * @private
+     * @type {?Object}
+     */
+    this.lastTask_ = null;
+
+    /**
+     * Returns how much of its time budget the most recently started task has
+     * left, in milliseconds, or null if no task has run yet.
+     * @private
+     * @type {?function(): number}
+     */
+    this.yieldTimeRemaining_ = null;
+
+    /**
+     * Observers notified of task lifecycle events.
+     * @private
+     * @const {!Set<function(!Object)>}
+     */
+    this.observers_ = new Set();
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.nextTaskId_ = 1;
+  }
+
+  /**
+   * Registers `observer` to be called synchronously with a record describing
+   * the event when a task is posted, when its delay expires, when it starts
+   * and ends running, when it is aborted, and when its priority changes. For
+   * async callbacks, the task ends when the callback returns. Exceptions
+   * thrown by observers are reported asynchronously and don't affect the
+   * scheduler.
+   *
+   * Records have the following fields:
+   *  - type: One of 'posted', 'delayexpired', 'start', 'end', 'abort' or
+   *    'prioritychange'.
+   *  - id: A number identifying the task within its scheduler.
+   *  - priority: The task's current priority.
+   *  - isContinuation: Whether the task is a yield() continuation.
+   *  - time: When the event happened, in milliseconds.
+   *  - queueingDelay: How long the task has been waiting to run, in
+   *    milliseconds, from when it was posted or its delay expired until it
+   *    started running, or until now if it hasn't started yet. This is 0 for
+   *    delayed tasks that haven't expired yet.
+   *  - runDuration: How long the task ran, or has been running, in
+   *    milliseconds. This is 0 for tasks that haven't started yet.
+   *  - previousPriority: The priority before the change, for 'prioritychange'.
+   *
+   * @param {function({type: string, id: number, priority: string,
+   *                   isContinuation: boolean, time: number,
+   *                   queueingDelay: number, runDuration: number,
+   *                   previousPriority: (string|undefined)})} observer
+   */
+  addObserver(observer) {
+    if (typeof observer !== 'function') {
+      throw new TypeError(`'observer' is not a function`);
+    }
+    this.observers_.add(observer);
+  }
+
+  /**
+   * Unregisters an observer added with addObserver().
+   *
+   * @param {function(!Object)} observer
+   */
+  removeObserver(observer) {
+    this.observers_.delete(observer);
+  }
+
+  /**
+   * Returns information about the task that is currently running, or null if
+   * no task is running. This only works for the synchronous part of a task,
+   * since the running task is unknown after an `await`.
+   *
+   * `didTimeout` tells whether the task timed out, and `timeRemaining()`
+   * returns how much time is left for work in the current idle period, or
+   * time slice, in milliseconds, like IdleDeadline. Task callbacks aren't
+   * passed this information as an argument, since native postTask() callbacks
+   * aren't passed any.
+   *
+   * @return {?{priority: string, signal: ?AbortSignal,
+   *            isContinuation: boolean, startTime: number,
+   *            name: (string|undefined), didTimeout: boolean,
+   *            timeRemaining: function(): number}}
+   */
+  get currentTask() {
+    const task = this.currentTask_;
+    if (!task) return null;
+    return Object.freeze({
+      priority: this.getTaskPriority_(task),
+      signal: task.options.signal || null,
+      isContinuation: task.isContinuation,
+      startTime: task.startTime,
+      name: task.options.name,
+      didTimeout: task.didTimeout,
+      timeRemaining: task.timeRemaining,
+    });
   }
 
   /**
    * Returns a promise that is resolved in a new task.
    *
+   * By default, the continuation inherits the priority and signal of the
+   * currently running task. This only works for the synchronous part of a
+   * task, since the running task is unknown after an `await`. To carry the
+   * context across `await` boundaries, `signal` and `priority` can be passed
+   * explicitly, with 'inherit' (the default) meaning the current task's value.
+   *
+   * @param {{signal: (AbortSignal|string|undefined),
+   *          priority: (string|undefined)}=} options
    * @return {!Promise<*>}
    */
-  yield() {
-    // Inheritance is not supported. Use default options instead.
-    return this.postTaskOrContinuation_(
-        () => {}, {priority: 'user-visible'}, true);
+  yield(options) {
+    options = Object.assign({signal: 'inherit', priority: 'inherit'}, options);
+    const inheritedOptions = this.currentTask_ ? this.currentTask_.options : {};
+    if (options.signal === 'inherit') options.signal = inheritedOptions.signal;
+    if (options.priority === 'inherit') {
+      options.priority = inheritedOptions.priority;
+    }
+    return this.postTaskOrContinuation_(() => {}, options, true);
+  }
+
+  /**
+   * The number of async tasks in flight, if `trackAsyncTasks` is set.
+   * @readonly
+   * @type {number}
+   */
+  get asyncTasksInFlight() {
+    return this.asyncTasks_.size;
   }
 
   /**
@@ -78,14 +497,64 @@ class Scheduler {
    * promise is rejected if the callback throws an exception, or if the
    * associated signal is aborted.
    *
+   * `name` optionally labels the task in User Timing entries.
+   *
+   * `timeout` is the maximum time in milliseconds the task waits to run once
+   * it is queued, i.e. after any `delay`. Like the requestIdleCallback()
+   * timeout, 0 means no timeout. Once the task times out, the task and the
+   * tasks queued before it in the same queue are run before other tasks, even
+   * if the page isn't idle.
+   *
+   * If `key` is given and a task posted with the same key hasn't started yet,
+   * no new task is posted. Instead, with `coalesce` set to 'replace', the
+   * default, the pending task runs `callback` rather than its own, and with
+   * 'merge', it runs its own callback. Either way, the pending task keeps its
+   * other options, and the promises returned for all of the coalesced posts
+   * settle with its result, except that each is also rejected if the signal
+   * it was posted with is aborted. Aborting the signal of the post that owns
+   * the pending task only aborts the task if no coalesced post still waits for
+   * it. Otherwise the task keeps its current priority and runs for those.
+   *
+   * While it runs, the callback can tell whether the task timed out, and how
+   * much time is left for work, from `currentTask`.
+   *
    * @param {function(): *} callback
-   * @param {{signal: AbortSignal, priority: string, delay: number}} options
+   * @param {{signal: AbortSignal, priority: string, delay: number,
+   *          name: (string|undefined), timeout: (number|undefined),
+   *          key: *, coalesce: (string|undefined)}} options
    * @return {!Promise<*>}
    */
   postTask(callback, options) {
+    if (this.inheritTaskContext_ && this.currentTask_) {
+      options = this.getInheritedOptions_(options);
+    }
     return this.postTaskOrContinuation_(callback, options, false);
   }
 
+  /**
+   * Returns a copy of the postTask() `options` with the priority and signal of
+   * the running task filled in, unless given explicitly. If a signal is given
+   * without a priority, the running task's priority is only used if the signal
+   * doesn't have one.
+   * @private
+   * @param {?Object|undefined} options
+   * @return {!Object}
+   */
+  getInheritedOptions_(options) {
+    options = Object.assign({}, options);
+    const task = this.currentTask_;
+    if (options.signal === undefined) {
+      options.signal = task.options.signal;
+      if (options.priority === undefined) {
+        options.priority = task.options.priority;
+      }
+    } else if (options.priority === undefined &&
+        !(options.signal && options.signal.priority)) {
+      options.priority = this.getTaskPriority_(task);
+    }
+    return options;
+  }
+
   /**
    * Common scheduling logic for postTask and yield.
    *
@@ -108,7 +577,7 @@ class Scheduler {
       }
       // If this is a TaskSignal, make sure the priority is valid.
       if (options.signal && options.signal.priority &&
-          !SCHEDULER_PRIORITIES.includes(options.signal.priority)) {
+          !this.priorities_.includes(options.signal.priority)) {
         return Promise.reject(new TypeError(
             `Invalid task priority: '${options.signal.priority}'`));
       }
@@ -117,7 +586,7 @@ class Scheduler {
     if (options.priority !== undefined) {
       // Non-numeric options cannot be null for this API.
       if (options.priority === null ||
-          !SCHEDULER_PRIORITIES.includes(options.priority)) {
+          !this.priorities_.includes(options.priority)) {
         return Promise.reject(new TypeError(
             `Invalid task priority: '${options.priority}'`));
       }
@@ -135,6 +604,28 @@ class Scheduler {
           `'delay' must be a positive number.`));
     }
 
+    if (options.name !== undefined) options.name = String(options.name);
+
+    if (options.timeout !== undefined) {
+      options.timeout = Number(options.timeout);
+      if (!(options.timeout >= 0)) {
+        return Promise.reject(new TypeError(
+            `'timeout' must be a positive number.`));
+      }
+    }
+
+    if (options.coalesce !== undefined && options.coalesce !== 'replace' &&
+        options.coalesce !== 'merge') {
+      return Promise.reject(new TypeError(
+          `'coalesce' must be either 'replace' or 'merge'.`));
+    }
+    // Continuations are never coalesced.
+    if (isContinuation) delete options.key;
+    if (options.key !== undefined && this.keyedTasks_.has(options.key)) {
+      return this.coalesceTask_(
+          this.keyedTasks_.get(options.key), callback, options);
+    }
+
     const task = {
       callback,
       options,
@@ -160,35 +651,176 @@ class Scheduler {
         this.abortCallback = null;
       },
 
-      onTaskAborted: function() {
+      onTaskAborted: function(reason) {
         // If this is a delayed task that hasn't expired yet, cancel the host
         // callback.
         if (this.hostCallback) {
           this.hostCallback.cancel();
           this.hostCallback = null;
         }
-        this.options.signal.removeEventListener('abort', this.abortCallback);
-        this.abortCallback = null;
-        this.reject(this.options.signal.reason);
-      },
-
-      isAborted: function() {
-        return this.options.signal && this.options.signal.aborted;
+        if (this.abortCallback) {
+          this.options.signal.removeEventListener('abort', this.abortCallback);
+          this.abortCallback = null;
+        }
+        this.reject(reason);
       },
 
       isContinuation,
+
+      /** Identifies the task in observer records. */
+      id: this.nextTaskId_++,
+
+      /** When the task was queued to run, or null if it is still delayed. */
+      enqueueTime: options.delay > 0 ? null : this.now_(),
+
+      /** When the task started running, or null if it hasn't yet. */
+      startTime: null,
+
+      /** When the task times out, or null if it has no `timeout`. */
+      timeoutTime: null,
+
+      /** Whether the task timed out, once it has started running. */
+      didTimeout: false,
+
+      /**
+       * Returns the time left in the idle period or time slice the task runs
+       * in, once it has started running.
+       */
+      timeRemaining: null,
+
+      /**
+       * The promise returned for the task, which is replaced if the post that
+       * owns the task is aborted while others are coalesced with it.
+       */
+      resultPromise: null,
+
+      /** The number of coalesced posts that still wait for the task. */
+      coalescedPosts: 0,
+
+      /**
+       * Whether the post that owns the task was aborted while others were
+       * coalesced with it.
+       */
+      ownerAborted: false,
+
+      /** The stack trace of the postTask() call, if captured. */
+      postStack: typeof this.onerror === 'function' && !isContinuation ?
+          new Error().stack : undefined,
     };
 
     const resultPromise = new Promise((resolve, reject) => {
       task.resolve = resolve;
       task.reject = reject;
     });
+    task.resultPromise = resultPromise;
 
+    this.notifyObservers_('posted', task);
     this.schedule_(task);
 
     return resultPromise;
   }
 
+  /**
+   * Coalesces a postTask() call with `task`, the pending task posted with the
+   * same key, returning the promise for the call.
+   * @private
+   * @param {!Object} task
+   * @param {function(*): *} callback The callback of the call.
+   * @param {!Object} options The validated options of the call.
+   * @return {!Promise<*>}
+   */
+  coalesceTask_(task, callback, options) {
+    const signal = options.signal;
+    if (signal && signal.aborted) return Promise.reject(signal.reason);
+    if (options.coalesce !== 'merge') task.callback = callback;
+    ++task.coalescedPosts;
+
+    let rejectPost;
+    const promise = new Promise((resolve, reject) => {
+      rejectPost = reject;
+      const follow = () => {
+        const resultPromise = task.resultPromise;
+        resultPromise.then(resolve, (error) => {
+          // The promise is replaced, rather than rejected for good, if the
+          // post that owns the task is aborted.
+          if (task.resultPromise === resultPromise) {
+            reject(error);
+          } else {
+            follow();
+          }
+        });
+      };
+      follow();
+    });
+    if (!signal) return promise;
+
+    const abortCallback = () => {
+      rejectPost(signal.reason);
+      // Nothing waits for the task anymore if its owner was aborted too.
+      if (--task.coalescedPosts === 0 && task.ownerAborted) {
+        this.abortTask_(task, signal.reason);
+      }
+    };
+    const removeAbortCallback = () => {
+      signal.removeEventListener('abort', abortCallback);
+    };
+    signal.addEventListener('abort', abortCallback);
+    promise.then(removeAbortCallback, removeAbortCallback);
+    return promise;
+  }
+
+  /**
+   * Detaches `task` from the signal of the post that owns it, which was
+   * aborted while coalesced posts still wait for the task. Only the owning
+   * post's promise is rejected, and the task keeps its current priority and
+   * settles a new promise, which the coalesced posts follow.
+   * @private
+   * @param {!Object} task
+   */
+  detachTaskOwner_(task) {
+    const signal = task.options.signal;
+    signal.removeEventListener('abort', task.abortCallback);
+    task.abortCallback = null;
+    task.ownerAborted = true;
+    task.options = Object.assign({}, task.options, {
+      priority: this.getTaskPriority_(task),
+    });
+    delete task.options.signal;
+
+    const rejectOwner = task.reject;
+    task.resultPromise = new Promise((resolve, reject) => {
+      task.resolve = resolve;
+      task.reject = reject;
+    });
+    rejectOwner(signal.reason);
+  }
+
+  /**
+   * Rejects `task` with `reason` and stops tracking it.
+   * @private
+   * @param {!Object} task
+   * @param {*} reason
+   */
+  abortTask_(task, reason) {
+    task.onTaskAborted(reason);
+    this.unindexKeyedTask_(task);
+    this.onTaskAborted_(task);
+    this.notifyObservers_('abort', task);
+  }
+
+  /**
+   * Removes `task` from the index of pending tasks posted with a `key`, once
+   * it starts running or is aborted.
+   * @private
+   * @param {!Object} task
+   */
+  unindexKeyedTask_(task) {
+    const key = task.options.key;
+    if (key !== undefined && this.keyedTasks_.get(key) === task) {
+      this.keyedTasks_.delete(key);
+    }
+  }
+
   /**
    * @private
    * @param {!Object} task
@@ -200,21 +832,31 @@ class Scheduler {
     if (signal) {
       if (signal.aborted) {
         task.reject(signal.reason);
+        this.notifyObservers_('abort', task);
         return;
       }
 
       task.abortCallback = () => {
-        task.onTaskAborted();
+        if (task.coalescedPosts > 0) {
+          this.detachTaskOwner_(task);
+        } else {
+          this.abortTask_(task, signal.reason);
+        }
       };
       signal.addEventListener('abort', task.abortCallback);
     }
 
+    if (task.options.key !== undefined) {
+      this.keyedTasks_.set(task.options.key, task);
+    }
+
     // Handle delayed tasks.
     if (task.options.delay > 0) {
       task.hostCallback = new HostCallback(() => {
         task.hostCallback = null;
         this.onTaskDelayExpired_(task);
-      }, null /* priority */, task.options.delay);
+      }, null /* priority */, task.options.delay,
+      this.getHostCallbackStrategy_(null));
       return;
     }
 
@@ -228,6 +870,9 @@ class Scheduler {
    * @param {!Object} task
    */
   onTaskDelayExpired_(task) {
+    task.enqueueTime = this.now_();
+    this.notifyObservers_('delayexpired', task);
+
     // We need to queue the task in the appropriate queue, most importantly
     // to ensure ordering guarantees.
     this.pushTask_(task);
@@ -242,6 +887,23 @@ class Scheduler {
     this.schedulerEntryCallback_();
   }
 
+  /**
+   * Callback invoked when `task` is aborted, after it has been rejected.
+   * @private
+   * @param {!Object} task
+   */
+  onTaskAborted_(task) {
+    // Remove the task from its queue right away so that it can be garbage
+    // collected, and so we don't schedule host callbacks for it. Delayed tasks
+    // that haven't expired yet and running tasks aren't in a queue.
+    this.timeoutTasks_.remove(task);
+    this.onAsyncTaskSettled_(task);
+    const removed = this.priorities_.some((priority) => {
+      return this.queues_[priority].some((queue) => queue.remove(task));
+    });
+    if (removed) this.scheduleHostCallbackIfNeeded_();
+  }
+
   /**
    * Callback invoked when a prioritychange event is raised for `signal`.
    * @private
@@ -253,83 +915,252 @@ class Scheduler {
       throw new Error(
           'Attempting to change priority on an unregistered signal');
     }
-    if (oldPriority === signal.priority) return;
+    const newPriority = this.getSignalPriority_(signal);
+    if (oldPriority === newPriority) return;
 
     // Change priority for both continuations and tasks.
+    const movedTasks = [];
     for (let i = 0; i < 2; i++) {
       const sourceQueue = this.queues_[oldPriority][i];
-      const destinationQueue = this.queues_[signal.priority][i];
+      const destinationQueue = this.queues_[newPriority][i];
 
+      // Tasks posted with an explicit priority keep it, even if they share
+      // the signal.
       destinationQueue.merge(sourceQueue, (task) => {
-        return task.options.signal === signal;
+        if (task.options.signal !== signal || task.options.priority) {
+          return false;
+        }
+        movedTasks.push(task);
+        return true;
       });
     }
 
-    this.signals_.set(signal, signal.priority);
+    this.signals_.set(signal, newPriority);
+    movedTasks.forEach((task) => {
+      this.notifyObservers_(
+          'prioritychange', task, {previousPriority: oldPriority});
+    });
+
+    // The pending host callback might need to be upgraded or downgraded.
+    this.scheduleHostCallbackIfNeeded_();
   }
 
   /**
    * Callback invoked when the host callback fires.
    * @private
+   * @param {?IdleDeadline=} deadline The IdleDeadline, if the host callback is
+   *     an idle callback.
    */
-  schedulerEntryCallback_() {
+  schedulerEntryCallback_(deadline) {
     this.pendingHostCallback_ = null;
-    this.runNextTask_();
+
+    // Without time slicing, run a single task per host callback. Otherwise
+    // keep draining the task queues until the time budget is used up, which
+    // for idle callbacks is the remaining idle time. Tasks are told how much of
+    // the budget remains, which is always 0 without time slicing, except in
+    // idle callbacks.
+    const sliceEnd = this.now_() + this.timeSlice_;
+    const timeRemaining = () => {
+      if (deadline) return deadline.timeRemaining();
+      return Math.max(sliceEnd - this.now_(), 0);
+    };
+    const hasTimeRemaining = () => {
+      return this.timeSlice_ !== 0 && timeRemaining() > 0;
+    };
+    this.yieldTimeRemaining_ = deadline || this.timeSlice_ !== 0 ?
+        timeRemaining : () => {
+          return this.lastTask_.startTime + DEFAULT_YIELD_INTERVAL -
+              this.now_();
+        };
+
+    do {
+      this.runNextTask_(timeRemaining);
+    } while (this.nextTaskPriority_().priority != null && hasTimeRemaining());
+
+    // The microtask runs after those queued by the tasks, e.g. for code
+    // following an awaited yield(), so those still count as running.
+    const lastTask = this.lastTask_;
+    queueMicrotask(() => {
+      if (this.lastTask_ === lastTask) this.lastTask_ = null;
+    });
+
     this.scheduleHostCallbackIfNeeded_();
   }
 
+  /**
+   * Returns the current time in milliseconds, which can be overridden to use a
+   * virtual clock.
+   * @protected
+   * @return {number}
+   */
+  now_() {
+    return performance.now();
+  }
+
   /**
    * Schedule the next scheduler callback if there are any pending tasks.
    */
   scheduleHostCallbackIfNeeded_() {
-    const {priority} = this.nextTaskPriority_();
-    if (priority == null) return;
+    let {priority} = this.nextTaskPriority_();
+
+    // Overdue tasks shouldn't wait for an idle period.
+    if (priority === 'background' && this.getOverdueTaskPriority_()) {
+      priority = 'user-visible';
+    }
+    const overdueTime =
+        priority === 'background' ? this.getNextOverdueTime_() : Infinity;
+    this.updateOverdueHostCallback_(overdueTime);
+
+    // The pending host callback is no longer needed if the remaining tasks were
+    // aborted.
+    if (priority == null) {
+      if (this.pendingHostCallback_) {
+        this.pendingHostCallback_.cancel();
+        this.pendingHostCallback_ = null;
+      }
+      return;
+    }
 
-    // We might need to upgrade to a non-idle callback if a higher priority task
-    // is scheduled, in which case we cancel the pending host callback and
-    // reschedule.
-    if (priority !== 'background' && this.pendingHostCallback_ &&
-        this.pendingHostCallback_.isIdleCallback()) {
+    // We might need to switch strategies, e.g. upgrade from an idle callback if
+    // a higher priority task is scheduled, or downgrade to an idle callback if
+    // only background tasks remain, in which case we cancel the pending host
+    // callback and reschedule.
+    const strategy = this.getHostCallbackStrategy_(priority);
+    if (this.pendingHostCallback_ &&
+        !this.pendingHostCallback_.usesStrategy(strategy)) {
       this.pendingHostCallback_.cancel();
       this.pendingHostCallback_ = null;
     }
 
-    // Either the priority of the new task is compatible with the pending host
-    // callback, or it's a lower priority (we handled the other case above). In
-    // either case, the pending callback is still valid.
+    // Otherwise the pending callback uses the strategy for the priority of the
+    // next task, so it is still valid.
     if (this.pendingHostCallback_) return;
 
-    this.pendingHostCallback_ = new HostCallback(() => {
-      this.schedulerEntryCallback_();
-    }, priority, 0 /* delay */);
+    // Pass the time until the next task is overdue along as a hint, e.g. as
+    // the requestIdleCallback() timeout.
+    const timeout = overdueTime === Infinity ? 0 :
+        Math.max(overdueTime - this.now_(), 1);
+    this.pendingHostCallback_ = new HostCallback((deadline) => {
+      this.schedulerEntryCallback_(deadline);
+    }, priority, 0 /* delay */, strategy, timeout);
   }
 
   /**
-   * Compute the `task` priority and push it onto the appropriate task queue.
-   * If the priority comes from the associated signal, this will set up an event
-   * listener to listen for priority changes.
+   * Makes sure the pending host callback gets rescheduled at `time`, when the
+   * next task becomes overdue.
+   * @private
+   * @param {number} time When the next task becomes overdue, or Infinity if
+   *     the pending host callback doesn't need to be rescheduled.
+   */
+  updateOverdueHostCallback_(time) {
+    if (time === this.overdueHostCallbackTime_) return;
+
+    if (this.overdueHostCallback_) {
+      this.overdueHostCallback_.cancel();
+      this.overdueHostCallback_ = null;
+    }
+    this.overdueHostCallbackTime_ = time;
+    if (time === Infinity) return;
+
+    // The pending host callback keeps the process alive, so this timer
+    // doesn't need to, unless a 'delay' strategy is configured.
+    this.overdueHostCallback_ = new HostCallback(() => {
+      this.overdueHostCallback_ = null;
+      this.overdueHostCallbackTime_ = Infinity;
+      this.scheduleHostCallbackIfNeeded_();
+    }, null /* priority */, Math.max(time - this.now_(), 1),
+    this.hostCallbackStrategies_.delay || backgroundTimerStrategy);
+  }
+
+  /**
+   * Returns when the next background task becomes overdue, because of aging
+   * or its `timeout`.
+   * @private
+   * @return {number} The time, or Infinity if no task can become overdue.
+   */
+  getNextOverdueTime_() {
+    let time = Infinity;
+    if (this.agingThreshold_ > 0) {
+      this.queues_['background'].forEach((queue) => {
+        const task = queue.peekNextTask();
+        if (!task) return;
+        time = Math.min(time, task.enqueueTime + this.agingThreshold_);
+      });
+    }
+    const timeoutTask = this.timeoutTasks_.peek();
+    if (timeoutTask) time = Math.min(time, timeoutTask.timeoutTime);
+    return time;
+  }
+
+  /**
+   * Returns the strategy used for host callbacks of the given priority.
+   * @private
+   * @param {?string} priority The priority, or null for delayed tasks.
+   * @return {!HostCallbackStrategy}
+   */
+  getHostCallbackStrategy_(priority) {
+    const strategy = this.hostCallbackStrategies_[priority || 'delay'];
+    if (strategy) return strategy;
+
+    const defaultStrategy = getDefaultStrategy(priority);
+    if (defaultStrategy === postMessageStrategy &&
+        this.postMessageCallbackManager_) {
+      return this.postMessageCallbackManager_;
+    }
+    return defaultStrategy;
+  }
+
+  /**
+   * Returns the current priority of `task`.
    * @private
    * @param {!Object} task
+   * @return {string}
    */
-  pushTask_(task) {
+  getTaskPriority_(task) {
     // If an explicit priority was provided, we use that. Otherwise if a
     // TaskSignal was provided, we get the priority from that. If neither a
     // priority or TaskSignal was provided, we default to 'user-visible'.
-    let priority;
-    if (task.options.priority) {
-      priority = task.options.priority;
-    } else if (task.options.signal && task.options.signal.priority) {
-      priority = task.options.signal.priority;
-    } else {
-      priority = 'user-visible';
+    if (task.options.priority) return task.options.priority;
+    if (task.options.signal && task.options.signal.priority) {
+      return this.getSignalPriority_(task.options.signal);
     }
+    return 'user-visible';
+  }
+
+  /**
+   * Returns the priority tasks associated with the TaskSignal `signal` are run
+   * at. Signals can change to 'render-blocking' priority even if this
+   * scheduler doesn't support it, in which case 'user-blocking' is used.
+   * @private
+   * @param {!TaskSignal} signal
+   * @return {string}
+   */
+  getSignalPriority_(signal) {
+    const priority = signal.priority;
+    return this.priorities_.includes(priority) ? priority : 'user-blocking';
+  }
+
+  /**
+   * Compute the `task` priority and push it onto the appropriate task queue.
+   * If the priority comes from the associated signal, this will set up an event
+   * listener to listen for priority changes.
+   * @private
+   * @param {!Object} task
+   */
+  pushTask_(task) {
+    const priority = this.getTaskPriority_(task);
 
     // The priority should have already been validated before calling this
     // method, but check the assumption and fail loudly if it doesn't hold.
-    if (!SCHEDULER_PRIORITIES.includes(priority)) {
+    if (!this.priorities_.includes(priority)) {
       throw new TypeError(`Invalid task priority: ${priority}`);
     }
 
+    if (task.options.timeout > 0) {
+      task.timeoutTime = task.enqueueTime + task.options.timeout;
+      this.timeoutTasks_.push(task);
+    }
+
     // Subscribe to priority change events if this is the first time we're
     // learning about this signal.
     if (task.options.signal && task.options.signal.priority) {
@@ -338,42 +1169,219 @@ class Scheduler {
         signal.addEventListener('prioritychange', () => {
           this.onPriorityChange_(signal);
         });
-        this.signals_.set(signal, signal.priority);
+        this.signals_.set(signal, this.getSignalPriority_(signal));
       }
     }
     this.queues_[priority][task.isContinuation ? 0 : 1].push(task);
   }
 
   /**
-   * Run the oldest highest priority non-aborted task, if there is one.
+   * Run the oldest highest priority task, if there is one. Aborted tasks are
+   * removed from their queue when aborted, so this never runs aborted tasks.
    * @private
+   * @param {function(): number} timeRemaining Returns the time left in the
+   *     current idle period or time slice, in milliseconds.
    */
-  runNextTask_() {
-    let task = null;
+  runNextTask_(timeRemaining) {
+    // TODO(shaseley): This can potentially run a background task in a
+    // non-background task host callback.
+    const {priority, type} =
+        this.getOverdueTaskPriority_() || this.nextTaskPriority_();
+    // No tasks to run.
+    if (priority == null) return;
 
-    // Aborted tasks aren't removed from the task queue, so we need to keep
-    // looping until we find a non-aborted task. Alternatively, we should
-    // consider just removing them from their queue.
-    do {
-      // TODO(shaseley): This can potentially run a background task in a
-      // non-background task host callback.
-      const {priority, type} = this.nextTaskPriority_();
-      // No tasks to run.
-      if (priority == null) return;
+    // Note: `task` will only be null if the queue is empty, which should not
+    // be the case if we found the priority of the next task to run.
+    const task = this.queues_[priority][type].takeNextTask();
 
-      // Note: `task` will only be null if the queue is empty, which should not
-      // be the case if we found the priority of the next task to run.
-      task = this.queues_[priority][type].takeNextTask();
-    } while (task.isAborted());
+    task.startTime = this.now_();
+    this.lastTask_ = task;
+    this.unindexKeyedTask_(task);
+    this.timeoutTasks_.remove(task);
+    task.didTimeout =
+        task.timeoutTime !== null && task.startTime >= task.timeoutTime;
+    task.timeRemaining = timeRemaining;
+    this.notifyObservers_('start', task);
+    const measureName =
+        this.userTiming_ ? this.getMeasureName_(task, priority) : null;
+    if (measureName) performance.mark(`${measureName} start`);
 
+    const previousTask = this.currentTask_;
+    this.currentTask_ = task;
+    let isAsync = false;
     try {
       const result = task.callback();
-      task.resolve(result);
+      isAsync = this.trackAsyncTasks_ && !task.isContinuation &&
+          result != null && typeof result.then === 'function';
+      if (isAsync) {
+        this.runAsyncTask_(task, priority, result);
+      } else {
+        task.resolve(result);
+        if (result != null && typeof result.then === 'function' &&
+            this.shouldHandleTaskErrors_()) {
+          Promise.resolve(result).catch((e) => {
+            this.onTaskError_(task, priority, e);
+          });
+        }
+      }
     } catch (e) {
       task.reject(e);
+      this.onTaskError_(task, priority, e);
     } finally {
-      task.onTaskCompleted();
+      this.currentTask_ = previousTask;
+      // Async tasks can still be aborted while in flight.
+      if (!isAsync) task.onTaskCompleted();
+    }
+
+    if (measureName) {
+      performance.mark(`${measureName} end`);
+      performance.measure(
+          measureName, `${measureName} start`, `${measureName} end`);
+      // Only the measure is of interest, so don't let the marks pile up.
+      performance.clearMarks(`${measureName} start`);
+      performance.clearMarks(`${measureName} end`);
     }
+
+    this.notifyObservers_('end', task);
+  }
+
+  /**
+   * Keeps track of `task` until `result`, the promise its callback returned,
+   * settles, or its signal is aborted.
+   * @private
+   * @param {!Object} task
+   * @param {string} priority The priority the task was run at.
+   * @param {!IThenable<*>} result
+   */
+  runAsyncTask_(task, priority, result) {
+    this.asyncTasks_.set(task, priority);
+    ++this.asyncTaskCounts_[priority];
+    // Don't resolve the task's promise with `result` directly, since it can't
+    // be rejected on abort after that.
+    Promise.resolve(result).then((value) => {
+      task.resolve(value);
+      this.onAsyncTaskSettled_(task);
+    }, (error) => {
+      task.reject(error);
+      // Tasks aborted in flight were already rejected, so ignore their errors.
+      if (this.asyncTasks_.has(task)) this.onTaskError_(task, priority, error);
+      this.onAsyncTaskSettled_(task);
+    });
+  }
+
+  /**
+   * @private
+   * @return {boolean} Whether task errors are passed to `onerror` or reported.
+   */
+  shouldHandleTaskErrors_() {
+    return this.reportTaskErrors_ || typeof this.onerror === 'function';
+  }
+
+  /**
+   * Passes a task error to `onerror` and reports it, if enabled.
+   * @private
+   * @param {!Object} task
+   * @param {string} priority The priority the task ran at.
+   * @param {*} error
+   */
+  onTaskError_(task, priority, error) {
+    if (typeof this.onerror === 'function') {
+      const record = Object.freeze({
+        error,
+        id: task.id,
+        priority,
+        name: task.options.name,
+        postStack: task.postStack,
+      });
+      try {
+        this.onerror(record);
+      } catch (e) {
+        reportError(e);
+      }
+    }
+    if (this.reportTaskErrors_) {
+      // Don't report the error a second time as an unhandled rejection of the
+      // task's promise, e.g. for tasks that are fire and forget.
+      task.resultPromise.catch(() => {});
+      reportError(error);
+    }
+  }
+
+  /**
+   * Stops tracking `task` if it is an async task in flight, freeing its slot.
+   * @private
+   * @param {!Object} task
+   */
+  onAsyncTaskSettled_(task) {
+    const priority = this.asyncTasks_.get(task);
+    if (priority === undefined) return;
+    this.asyncTasks_.delete(task);
+    --this.asyncTaskCounts_[priority];
+    task.onTaskCompleted();
+    this.scheduleHostCallbackIfNeeded_();
+  }
+
+  /**
+   * Returns whether `queue`, the queue of the given priority and type, can run
+   * its next task, i.e. unless it is a task queue whose priority has reached
+   * its async concurrency limit.
+   * @private
+   * @param {string} priority
+   * @param {number} type 0 for continuations, 1 for tasks.
+   * @return {boolean}
+   */
+  isQueueRunnable_(priority, type) {
+    return type === 0 ||
+        this.asyncTaskCounts_[priority] < this.asyncConcurrency_[priority];
+  }
+
+  /**
+   * Returns the name of the User Timing entries for running `task`, e.g.
+   * 'user-visible task' or 'background continuation: name'.
+   * @private
+   * @param {!Object} task
+   * @param {string} priority The priority the task is run at.
+   * @return {string}
+   */
+  getMeasureName_(task, priority) {
+    const type = task.isContinuation ? 'continuation' : 'task';
+    const name = task.options.name;
+    return `${priority} ${type}` + (name ? `: ${name}` : '');
+  }
+
+  /**
+   * Notifies observers of a lifecycle event for `task`.
+   * @private
+   * @param {string} type The record type, e.g. 'start'.
+   * @param {!Object} task
+   * @param {!Object=} details Additional fields for the record.
+   */
+  notifyObservers_(type, task, details) {
+    if (this.observers_.size === 0) return;
+
+    const time = this.now_();
+    const queueingDelay = task.enqueueTime === null ? 0 :
+        (task.startTime === null ? time : task.startTime) - task.enqueueTime;
+    const runDuration = task.startTime === null ? 0 : time - task.startTime;
+    const record = Object.freeze(Object.assign({
+      type,
+      id: task.id,
+      priority: this.getTaskPriority_(task),
+      isContinuation: task.isContinuation,
+      time,
+      queueingDelay,
+      runDuration,
+    }, details));
+
+    // Copy the observers so that changes made by observers take effect for
+    // the next event.
+    Array.from(this.observers_).forEach((observer) => {
+      try {
+        observer(record);
+      } catch (e) {
+        reportError(e);
+      }
+    });
   }
 
   /**
@@ -384,14 +1392,227 @@ class Scheduler {
    *    empty.
    */
   nextTaskPriority_() {
-    for (let i = 0; i < SCHEDULER_PRIORITIES.length; i++) {
-      const priority = SCHEDULER_PRIORITIES[i];
+    for (let i = 0; i < this.priorities_.length; i++) {
+      const priority = this.priorities_[i];
       for (let type = 0; type < 2; type++) {
-        if (!this.queues_[priority][type].isEmpty()) return {priority, type};
+        if (!this.queues_[priority][type].isEmpty() &&
+            this.isQueueRunnable_(priority, type)) {
+          return {priority, type};
+        }
       }
     }
     return {priority: null, type: 0};
   }
+
+  /**
+   * Get the priority and type of the oldest overdue task or continuation, i.e.
+   * one that has been waiting to run for longer than the aging threshold, or
+   * that is queued before the task that timed out first. Only the oldest task
+   * in each queue is considered, which keeps tasks in order within each
+   * queue.
+   * @private
+   * @return {?{priority: string, type: number}} The priority and type of the
+   *     oldest overdue task, or null if no task is overdue.
+   */
+  getOverdueTaskPriority_() {
+    if (this.agingThreshold_ === 0 && this.timeoutTasks_.isEmpty()) {
+      return null;
+    }
+
+    const now = this.now_();
+    const agingTime = this.agingThreshold_ > 0 ?
+        now - this.agingThreshold_ : -Infinity;
+    // Timed out tasks are handled in the order they timed out, so only the
+    // queue of the one that timed out first needs to be considered.
+    const timeoutTask = this.timeoutTasks_.peek();
+    let timedOutQueue = null;
+    if (timeoutTask && timeoutTask.timeoutTime <= now) {
+      const priority = this.getTaskPriority_(timeoutTask);
+      timedOutQueue =
+          this.queues_[priority][timeoutTask.isContinuation ? 0 : 1];
+    }
+
+    let result = null;
+    let oldestTime = Infinity;
+    for (let i = 0; i < this.priorities_.length; i++) {
+      const priority = this.priorities_[i];
+      for (let type = 0; type < 2; type++) {
+        const queue = this.queues_[priority][type];
+        const task = queue.peekNextTask();
+        if (!task || !this.isQueueRunnable_(priority, type)) continue;
+        const isOverdue =
+            task.enqueueTime <= agingTime || queue === timedOutQueue;
+        if (isOverdue && task.enqueueTime < oldestTime) {
+          oldestTime = task.enqueueTime;
+          result = {priority, type};
+        }
+      }
+    }
+    return result;
+  }
+}
+
+/**
+ * Runs `callback` repeatedly on `scheduler`, every `interval` milliseconds, as
+ * a series of tasks posted with the other postTask() options, until the signal
+ * is aborted or the callback throws. The first run is after `delay`
+ * milliseconds, which defaults to `interval`. Each run is scheduled relative to
+ * when the previous one was due rather than when it ran, so timing doesn't
+ * drift, but the next run is only posted once the previous one has finished,
+ * including any promise its callback returned.
+ *
+ * If runs are missed, e.g. because the previous one took longer than
+ * `interval`, `missedRuns` determines whether they are skipped ('skip', the
+ * default) or run back to back until the series has caught up ('catch-up').
+ *
+ * The callback is passed an object whose `scheduledTime` property tells when
+ * the run was due, and whose `didTimeout` and `timeRemaining()` are those of
+ * `currentTask`.
+ *
+ * The returned promise is rejected with the signal's abort reason, or with the
+ * error thrown by the callback, when the runs stop.
+ *
+ * @param {!Scheduler} scheduler
+ * @param {function({didTimeout: boolean, timeRemaining: function(): number,
+ *                   scheduledTime: number}): *} callback
+ * @param {{interval: number, missedRuns: (string|undefined),
+ *          signal: AbortSignal, priority: string, delay: number,
+ *          name: (string|undefined), timeout: (number|undefined)}} options
+ * @return {!Promise<undefined>}
+ */
+function postPeriodicTask(scheduler, callback, options) {
+  const functions = getSchedulerFunctions(scheduler);
+  if (!functions) {
+    return Promise.reject(new TypeError(
+        `'scheduler' is not a polyfill 'Scheduler'`));
+  }
+  return functions.postPeriodicTask(scheduler, callback, options);
+}
+
+/**
+ * Implements postPeriodicTask() for Schedulers from this bundle.
+ * @param {!Scheduler} scheduler
+ * @param {function(!Object): *} callback
+ * @param {!Object} options
+ * @return {!Promise<undefined>}
+ */
+function postPeriodicTaskImpl(scheduler, callback, options) {
+  if (scheduler.inheritTaskContext_ && scheduler.currentTask_) {
+    options = scheduler.getInheritedOptions_(options);
+  }
+  const taskOptions = Object.assign({}, options);
+  const interval = Number(taskOptions.interval);
+  if (!(interval > 0) || interval === Infinity) {
+    return Promise.reject(new TypeError(
+        `'interval' must be a positive number.`));
+  }
+  const missedRuns = taskOptions.missedRuns === undefined ?
+      'skip' : taskOptions.missedRuns;
+  if (missedRuns !== 'skip' && missedRuns !== 'catch-up') {
+    return Promise.reject(new TypeError(
+        `'missedRuns' must be either 'skip' or 'catch-up'.`));
+  }
+  const delay =
+      taskOptions.delay === undefined ? interval : Number(taskOptions.delay);
+  if (delay < 0) {
+    return Promise.reject(new TypeError(
+        `'delay' must be a positive number.`));
+  }
+  delete taskOptions.interval;
+  delete taskOptions.missedRuns;
+
+  return new Promise((resolve, reject) => {
+    let scheduledTime = scheduler.now_() + (delay || 0);
+    const postRun = () => {
+      const runScheduledTime = scheduledTime;
+      taskOptions.delay = Math.max(runScheduledTime - scheduler.now_(), 0);
+      scheduler.postTaskOrContinuation_(() => {
+        const {didTimeout, timeRemaining} = scheduler.currentTask_;
+        return callback(
+            {scheduledTime: runScheduledTime, didTimeout, timeRemaining});
+      }, taskOptions, false).then(() => {
+        scheduledTime = runScheduledTime + interval;
+        const now = scheduler.now_();
+        if (missedRuns === 'skip' && scheduledTime < now) {
+          scheduledTime +=
+              Math.ceil((now - scheduledTime) / interval) * interval;
+        }
+        postRun();
+      }, reject);
+    };
+    postRun();
+  });
+}
+
+/**
+ * Returns whether the running task should yield, e.g. with yield(), because
+ * it has used up its time budget, because there is pending input, if
+ * navigator.scheduling.isInputPending() is supported, or because a higher
+ * priority or overdue task is waiting. The time budget is the remaining time
+ * slice or idle period, or without either, DEFAULT_YIELD_INTERVAL
+ * milliseconds from when the task started.
+ *
+ * The running task is the most recently started one, so this also works
+ * for code following an awaited yield(). Outside of tasks, this returns
+ * false.
+ *
+ * @param {!Scheduler} scheduler
+ * @return {boolean}
+ */
+function shouldYield(scheduler) {
+  const functions = getSchedulerFunctions(scheduler);
+  if (!functions) {
+    throw new TypeError(`'scheduler' is not a polyfill 'Scheduler'`);
+  }
+  return functions.shouldYield(scheduler);
+}
+
+/**
+ * Implements shouldYield() for Schedulers from this bundle.
+ * @param {!Scheduler} scheduler
+ * @return {boolean}
+ */
+function shouldYieldImpl(scheduler) {
+  const task = scheduler.currentTask_ || scheduler.lastTask_;
+  if (!task) return false;
+  if (scheduler.yieldTimeRemaining_() <= 0 || isInputPending()) return true;
+
+  const {priority} = scheduler.nextTaskPriority_();
+  if (priority != null && scheduler.priorities_.indexOf(priority) <
+      scheduler.priorities_.indexOf(scheduler.getTaskPriority_(task))) {
+    return true;
+  }
+  return scheduler.getOverdueTaskPriority_() !== null;
+}
+
+/**
+ * The key under which Schedulers reference the implementation of the functions
+ * that use their private state. Each bundle, e.g. the ponyfill and
+ * `scheduler-polyfill/testing`, has its own copy of Scheduler, whose private
+ * properties are mangled differently, so these functions must be run from the
+ * scheduler's own bundle, and can't rely on `instanceof` either.
+ * @const {symbol}
+ */
+const SCHEDULER_FUNCTIONS = Symbol.for('scheduler-polyfill.functions');
+
+Object.defineProperty(Scheduler.prototype, SCHEDULER_FUNCTIONS, {
+  value: {postPeriodicTask: postPeriodicTaskImpl, shouldYield: shouldYieldImpl},
+});
+
+/**
+ * Returns the functions implemented for `scheduler` by the bundle it comes
+ * from, or null if it isn't a polyfill Scheduler.
+ * @param {*} scheduler
+ * @return {?{postPeriodicTask: function(!Scheduler, function(!Object): *,
+ *                                       !Object): !Promise<undefined>,
+ *            shouldYield: function(!Scheduler): boolean}}
+ */
+function getSchedulerFunctions(scheduler) {
+  if (scheduler === null ||
+      (typeof scheduler !== 'object' && typeof scheduler !== 'function')) {
+    return null;
+  }
+  return scheduler[SCHEDULER_FUNCTIONS] || null;
 }
 
-export {Scheduler};
+export {Scheduler, postPeriodicTask, shouldYield};
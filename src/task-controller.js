@@ -14,7 +14,10 @@
  * limitations under the License.
  */
 
-import {SCHEDULER_PRIORITIES} from './scheduler-priorities.js';
+import {
+  EXTENDED_SCHEDULER_PRIORITIES,
+  SCHEDULER_PRIORITIES,
+} from './scheduler-priorities.js';
 
 /**
  * The TaskSignal interface represents a signal object that allows you to
@@ -58,8 +61,100 @@ class TaskSignal extends AbortSignal {
   get onprioritychange() {
     return this.onprioritychange_ || null;
   }
+
+  /**
+   * Returns a TaskSignal that is aborted when any of `signals` is aborted.
+   * The priority of the resulting signal is either fixed, if `init.priority`
+   * is a priority string, or follows the priority of `init.priority` if it is
+   * a TaskSignal, in which case prioritychange events are forwarded to the
+   * resulting signal. Only a TaskSignal of an ExtendedTaskController can give
+   * the resulting signal the 'render-blocking' priority.
+   *
+   * See https://wicg.github.io/scheduling-apis/#dom-tasksignal-any.
+   *
+   * @param {!Iterable<!AbortSignal>} signals
+   * @param {{priority: (string|!TaskSignal|undefined)}} init
+   * @return {!TaskSignal}
+   */
+  static any(signals, init = {}) {
+    if (signals == null || typeof signals[Symbol.iterator] !== 'function') {
+      throw new TypeError(`'signals' is not iterable`);
+    }
+    signals = Array.from(signals);
+    signals.forEach((signal) => {
+      if (signal == null || !('aborted' in signal) ||
+          typeof signal.addEventListener !== 'function') {
+        throw new TypeError(`'signal' is not a valid 'AbortSignal'`);
+      }
+    });
+
+    if (init == null) init = {};
+    if (typeof init !== 'object') {
+      throw new TypeError(`'init' is not an object`);
+    }
+
+    // The priority source is either a priority string or a TaskSignal whose
+    // priority the resulting signal follows.
+    let prioritySource = null;
+    let priority = init.priority === undefined ? 'user-visible' : init.priority;
+    let priorities = SCHEDULER_PRIORITIES;
+    if (priority !== null && typeof priority === 'object') {
+      // Check that the priority source is a TaskSignal before listening to any
+      // signals, so nothing is left behind.
+      if (typeof priority.addEventListener !== 'function') {
+        throw new TypeError(`Invalid task priority: '${priority}'`);
+      }
+      prioritySource = priority;
+      priority = prioritySource.priority;
+      priorities = EXTENDED_SCHEDULER_PRIORITIES;
+    }
+    if (!priorities.includes(priority)) {
+      throw new TypeError(`Invalid task priority: '${priority}'`);
+    }
+
+    const controller = new ExtendedTaskController({priority});
+    const signal = controller.signal;
+
+    const abortedSignal = signals.find((signal) => signal.aborted);
+    if (abortedSignal) {
+      controller.abort(abortedSignal.reason);
+    } else {
+      // Abort listeners are removed once the resulting signal is aborted so the
+      // source signals don't keep it alive any longer than needed.
+      const listeners = signals.map((source) => {
+        const listener = () => controller.abort(source.reason);
+        source.addEventListener('abort', listener);
+        return listener;
+      });
+      signal.addEventListener('abort', () => {
+        signals.forEach((source, i) => {
+          source.removeEventListener('abort', listeners[i]);
+        });
+      });
+    }
+
+    // Likewise, stop following the priority source once the resulting signal
+    // is aborted.
+    if (prioritySource && !signal.aborted) {
+      const listener = () => controller.setPriority(prioritySource.priority);
+      prioritySource.addEventListener('prioritychange', listener);
+      signal.addEventListener('abort', () => {
+        prioritySource.removeEventListener('prioritychange', listener);
+      });
+    }
+
+    return signal;
+  }
 }
 
+/**
+ * Whether the TaskPriorityChangeEvent constructor accepts the extended
+ * priorities, e.g. 'render-blocking', which is only the case while
+ * createPriorityChangeEvent() runs.
+ * @type {boolean}
+ */
+let allowExtendedPriorities = false;
+
 /**
  * Event type used for priority change events:
  * https://wicg.github.io/scheduling-apis/#sec-task-priority-change-event.
@@ -74,7 +169,10 @@ class TaskPriorityChangeEvent extends Event {
    * @param {{previousPriority: string}} init
    */
   constructor(typeArg, init) {
-    if (!init || !SCHEDULER_PRIORITIES.includes(init.previousPriority)) {
+    // Like the native constructor, only accept the standard priorities.
+    const priorities = allowExtendedPriorities ?
+        EXTENDED_SCHEDULER_PRIORITIES : SCHEDULER_PRIORITIES;
+    if (!init || !priorities.includes(init.previousPriority)) {
       throw new TypeError(`Invalid task priority: '${init.previousPriority}'`);
     }
     super(typeArg);
@@ -82,6 +180,21 @@ class TaskPriorityChangeEvent extends Event {
   }
 }
 
+/**
+ * Creates the 'prioritychange' event dispatched by setPriority(), whose
+ * previous priority can be any of the extended priorities.
+ * @param {string} previousPriority
+ * @return {!TaskPriorityChangeEvent}
+ */
+function createPriorityChangeEvent(previousPriority) {
+  allowExtendedPriorities = true;
+  try {
+    return new TaskPriorityChangeEvent('prioritychange', {previousPriority});
+  } finally {
+    allowExtendedPriorities = false;
+  }
+}
+
 /**
  * TaskController enables changing the priority of tasks associated with its
  * TaskSignal.
@@ -100,7 +213,7 @@ class TaskController extends AbortController {
 
     const priority =
         init.priority === undefined ? 'user-visible' : init.priority;
-    if (!SCHEDULER_PRIORITIES.includes(priority)) {
+    if (!this.isValidPriority_(priority)) {
       throw new TypeError(`Invalid task priority: '${priority}'`);
     }
 
@@ -120,7 +233,7 @@ class TaskController extends AbortController {
    * @param {string} priority
    */
   setPriority(priority) {
-    if (!SCHEDULER_PRIORITIES.includes(priority)) {
+    if (!this.isValidPriority_(priority)) {
       throw new TypeError('Invalid task priority: ' + priority);
     }
     if (this.isPriorityChanging_) throw new DOMException('', 'NotAllowedError');
@@ -131,11 +244,41 @@ class TaskController extends AbortController {
     const previousPriority = this.signal.priority_;
     this.signal.priority_ = priority;
 
-    const e = new TaskPriorityChangeEvent('prioritychange', {previousPriority});
-    this.signal.dispatchEvent(e);
+    this.signal.dispatchEvent(createPriorityChangeEvent(previousPriority));
 
     this.isPriorityChanging_ = false;
   }
+
+  /**
+   * @private
+   * @param {*} priority
+   * @return {boolean} Whether `priority` is supported by this controller.
+   */
+  isValidPriority_(priority) {
+    return SCHEDULER_PRIORITIES.includes(priority);
+  }
+}
+
+/**
+ * A TaskController that also accepts the 'render-blocking' priority, for
+ * schedulers created with `renderBlocking`. The ponyfill exports this as its
+ * TaskController, while the polyfilled global TaskController only accepts the
+ * standard priorities, like the native one.
+ */
+class ExtendedTaskController extends TaskController {
+  /**
+   * @private
+   * @param {*} priority
+   * @return {boolean} Whether `priority` is supported by this controller.
+   */
+  isValidPriority_(priority) {
+    return EXTENDED_SCHEDULER_PRIORITIES.includes(priority);
+  }
 }
 
-export {TaskController, TaskSignal, TaskPriorityChangeEvent};
+export {
+  ExtendedTaskController,
+  TaskController,
+  TaskSignal,
+  TaskPriorityChangeEvent,
+};
@@ -0,0 +1,234 @@
+/**
+ * Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {ExtendedTaskController, TaskSignal} from './task-controller.js';
+
+/**
+ * A set of related tasks, posted to a scheduler through the group, which can
+ * be awaited, aborted and reprioritized as a unit. Members share the group's
+ * TaskSignal, so reprioritizing the group moves all of its queued tasks at
+ * once.
+ */
+class TaskGroup {
+  /**
+   * Constructs a TaskGroup.
+   *
+   * @param {!Object} scheduler The scheduler to post the group's tasks to.
+   * @param {{priority: (string|undefined),
+   *          signal: (AbortSignal|undefined)}=} options If `signal` is
+   *     given, aborting it aborts the group.
+   */
+  constructor(scheduler, options = {}) {
+    if (scheduler == null || typeof scheduler.postTask !== 'function') {
+      throw new TypeError(`'scheduler' is not a valid 'Scheduler'`);
+    }
+    if (options == null) options = {};
+    if (typeof options !== 'object') {
+      throw new TypeError('\'options\' must be an object.');
+    }
+    if (options.signal !== undefined && (options.signal === null ||
+        !('aborted' in options.signal) ||
+        typeof options.signal.addEventListener !== 'function')) {
+      throw new TypeError(`'signal' is not a valid 'AbortSignal'`);
+    }
+
+    /**
+     * @private
+     * @const {!Object}
+     */
+    this.scheduler_ = scheduler;
+
+    /**
+     * @private
+     * @const {!ExtendedTaskController}
+     */
+    this.controller_ =
+        new ExtendedTaskController({priority: options.priority});
+
+    /**
+     * The promises returned for the group's tasks, in the order they were
+     * posted, mapped to whether they have settled. Settled ones are removed
+     * unless all() or allSettled() is waiting, so that long-lived groups don't
+     * hold on to every result.
+     * @private
+     * @const {!Map<!Promise<*>, boolean>}
+     */
+    this.promises_ = new Map();
+
+    /**
+     * The number of all() and allSettled() calls that are waiting.
+     * @private
+     * @type {number}
+     */
+    this.waitCount_ = 0;
+
+    /**
+     * The number of tasks posted to the group.
+     * @private
+     * @type {number}
+     */
+    this.size_ = 0;
+
+    const signal = options.signal;
+    if (signal) {
+      if (signal.aborted) {
+        this.controller_.abort(signal.reason);
+      } else {
+        const listener = () => this.controller_.abort(signal.reason);
+        signal.addEventListener('abort', listener);
+        this.controller_.signal.addEventListener('abort', () => {
+          signal.removeEventListener('abort', listener);
+        });
+      }
+    }
+  }
+
+  /**
+   * The group's TaskSignal, which is aborted when the group is aborted and
+   * whose priority is the group's priority.
+   * @readonly
+   * @type {!TaskSignal}
+   */
+  get signal() {
+    return this.controller_.signal;
+  }
+
+  /**
+   * The group's priority.
+   * @readonly
+   * @type {string}
+   */
+  get priority() {
+    return this.controller_.signal.priority;
+  }
+
+  /**
+   * The number of tasks posted to the group.
+   * @readonly
+   * @type {number}
+   */
+  get size() {
+    return this.size_;
+  }
+
+  /**
+   * Posts a task to the group, like Scheduler.postTask(). The task runs at the
+   * group's priority, unless `priority` is given, and is aborted along with
+   * the group. If `signal` is given, the task is also aborted when `signal` is
+   * aborted, but its priority still follows the group's.
+   *
+   * @param {function(*): *} callback
+   * @param {?Object=} options The postTask() options.
+   * @return {!Promise<*>}
+   */
+  postTask(callback, options = {}) {
+    options = Object.assign({}, options);
+    // Set if the task gets a signal of its own, which is aborted once the task
+    // settles, so that it stops listening to the group's signal.
+    let settledController = null;
+    if (options.signal === undefined) {
+      options.signal = this.controller_.signal;
+    } else {
+      settledController = new AbortController();
+      try {
+        options.signal = TaskSignal.any(
+            [this.controller_.signal, options.signal, settledController.signal],
+            {priority: this.controller_.signal});
+      } catch (e) {
+        return Promise.reject(e);
+      }
+    }
+    const promise = this.scheduler_.postTask(callback, options);
+    const onSettled = () => {
+      if (settledController) settledController.abort();
+      if (this.waitCount_ === 0) {
+        this.promises_.delete(promise);
+      } else {
+        this.promises_.set(promise, true);
+      }
+    };
+    promise.then(onSettled, onSettled);
+    this.promises_.set(promise, false);
+    this.size_++;
+    return promise;
+  }
+
+  /**
+   * Returns a promise that resolves with the results of the group's unsettled
+   * tasks, in the order they were posted, once all of them have finished, or
+   * rejects with the first error. This includes tasks posted to the group
+   * while waiting, e.g. by other members.
+   *
+   * @return {!Promise<!Array<*>>}
+   */
+  all() {
+    return this.wait_((promises) => Promise.all(promises));
+  }
+
+  /**
+   * Like all(), but waits for all of the group's unsettled tasks to settle,
+   * resolving with their outcomes in the format of Promise.allSettled().
+   *
+   * @return {!Promise<!Array<{status: string, value: *, reason: *}>>}
+   */
+  allSettled() {
+    return this.wait_((promises) => Promise.allSettled(promises));
+  }
+
+  /**
+   * Aborts the group's pending tasks and any tasks posted to it later.
+   * @param {*=} reason
+   */
+  abort(reason) {
+    this.controller_.abort(reason);
+  }
+
+  /**
+   * Changes the priority of the group's tasks, except those posted with an
+   * explicit priority.
+   * @param {string} priority
+   */
+  setPriority(priority) {
+    this.controller_.setPriority(priority);
+  }
+
+  /**
+   * Waits for `combine` to settle for the group's tasks, until no more tasks
+   * were posted in the meantime. Settled tasks are kept until no call is
+   * waiting anymore, so that every call sees the tasks posted while it waits.
+   * @private
+   * @param {function(!Array<!Promise<*>>): !Promise<!Array<*>>} combine
+   * @return {!Promise<!Array<*>>}
+   */
+  async wait_(combine) {
+    this.waitCount_++;
+    try {
+      let results;
+      do {
+        results = await combine(Array.from(this.promises_.keys()));
+      } while (results.length < this.promises_.size);
+      return results;
+    } finally {
+      if (--this.waitCount_ === 0) {
+        this.promises_.forEach((settled, promise) => {
+          if (settled) this.promises_.delete(promise);
+        });
+      }
+    }
+  }
+}
+
+export {TaskGroup};
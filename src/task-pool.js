@@ -0,0 +1,203 @@
+/**
+ * Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {EXTENDED_SCHEDULER_PRIORITIES} from './scheduler-priorities.js';
+
+/**
+ * Runs tasks posted through it on a scheduler, with at most `concurrency` of
+ * them in flight at once. A task is in flight from when it is posted to the
+ * scheduler until the promise returned for it settles, which for async
+ * callbacks includes the time spent waiting on the returned promise.
+ *
+ * Tasks beyond the limit wait in the pool, and when a slot frees up, the pool
+ * posts the waiting task with the highest current priority, oldest first. So
+ * priority changes of a waiting task's TaskSignal affect both when it leaves
+ * the pool and, once posted, when the scheduler runs it. Waiting tasks whose
+ * signal is aborted are rejected without being posted.
+ */
+class TaskPool {
+  /**
+   * Constructs a TaskPool.
+   *
+   * @param {!Object} scheduler The scheduler to post the pool's tasks to.
+   * @param {{concurrency: (number|undefined),
+   *          priority: (string|undefined)}=} options `concurrency` defaults to
+   *     1, and `priority`, the priority of tasks posted without a priority or
+   *     TaskSignal, to 'user-visible'.
+   */
+  constructor(scheduler, options = {}) {
+    if (scheduler == null || typeof scheduler.postTask !== 'function') {
+      throw new TypeError(`'scheduler' is not a valid 'Scheduler'`);
+    }
+    if (options == null) options = {};
+    if (typeof options !== 'object') {
+      throw new TypeError('\'options\' must be an object.');
+    }
+    const concurrency =
+        options.concurrency === undefined ? 1 : options.concurrency;
+    if (!(Number.isInteger(concurrency) && concurrency > 0) &&
+        concurrency !== Infinity) {
+      throw new TypeError('\'concurrency\' must be a positive integer.');
+    }
+    const priority =
+        options.priority === undefined ? 'user-visible' : options.priority;
+    if (!EXTENDED_SCHEDULER_PRIORITIES.includes(priority)) {
+      throw new TypeError(`Invalid task priority: '${priority}'`);
+    }
+
+    /**
+     * @private
+     * @const {!Object}
+     */
+    this.scheduler_ = scheduler;
+
+    /**
+     * @private
+     * @const {number}
+     */
+    this.concurrency_ = concurrency;
+
+    /**
+     * @private
+     * @const {string}
+     */
+    this.priority_ = priority;
+
+    /**
+     * Tasks waiting for a slot, in the order they were posted.
+     * @private
+     * @const {!Array<!Object>}
+     */
+    this.waitingTasks_ = [];
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.inFlightCount_ = 0;
+  }
+
+  /**
+   * The maximum number of tasks in flight at once.
+   * @readonly
+   * @type {number}
+   */
+  get concurrency() {
+    return this.concurrency_;
+  }
+
+  /**
+   * The number of tasks posted to the scheduler that haven't settled yet.
+   * @readonly
+   * @type {number}
+   */
+  get running() {
+    return this.inFlightCount_;
+  }
+
+  /**
+   * The number of tasks waiting in the pool for a slot.
+   * @readonly
+   * @type {number}
+   */
+  get pending() {
+    return this.waitingTasks_.length;
+  }
+
+  /**
+   * Posts a task to the pool, like Scheduler.postTask(). The task is posted to
+   * the scheduler once fewer than `concurrency` tasks are in flight. Without
+   * a `priority` or TaskSignal, it runs at the pool's priority.
+   *
+   * @param {function(*): *} callback
+   * @param {?Object=} options The postTask() options.
+   * @return {!Promise<*>}
+   */
+  postTask(callback, options = {}) {
+    options = Object.assign({}, options);
+    const signal = options.signal;
+    if (signal !== undefined && (signal === null || !('aborted' in signal) ||
+        typeof signal.addEventListener !== 'function')) {
+      return Promise.reject(new TypeError(
+          `'signal' is not a valid 'AbortSignal'`));
+    }
+    if (signal && signal.aborted) return Promise.reject(signal.reason);
+    if (options.priority === undefined && !(signal && signal.priority)) {
+      options.priority = this.priority_;
+    }
+
+    return new Promise((resolve, reject) => {
+      const task = {callback, options, resolve, reject, abortCallback: null};
+      if (signal) {
+        task.abortCallback = () => {
+          const i = this.waitingTasks_.indexOf(task);
+          if (i !== -1) this.waitingTasks_.splice(i, 1);
+          reject(signal.reason);
+        };
+        signal.addEventListener('abort', task.abortCallback);
+      }
+      this.waitingTasks_.push(task);
+      this.postWaitingTasks_();
+    });
+  }
+
+  /**
+   * Posts waiting tasks to the scheduler while there are free slots.
+   * @private
+   */
+  postWaitingTasks_() {
+    while (this.inFlightCount_ < this.concurrency_ &&
+           this.waitingTasks_.length > 0) {
+      const task = this.takeNextTask_();
+      if (task.abortCallback) {
+        task.options.signal.removeEventListener('abort', task.abortCallback);
+      }
+      ++this.inFlightCount_;
+      const onSettled = () => {
+        --this.inFlightCount_;
+        this.postWaitingTasks_();
+      };
+      this.scheduler_.postTask(task.callback, task.options).then((result) => {
+        task.resolve(result);
+        onSettled();
+      }, (error) => {
+        task.reject(error);
+        onSettled();
+      });
+    }
+  }
+
+  /**
+   * Removes and returns the oldest waiting task with the highest priority.
+   * @private
+   * @return {!Object}
+   */
+  takeNextTask_() {
+    let next = 0;
+    let nextRank = Infinity;
+    this.waitingTasks_.forEach((task, i) => {
+      const priority = task.options.priority || task.options.signal.priority;
+      const rank = EXTENDED_SCHEDULER_PRIORITIES.indexOf(priority);
+      if (rank < nextRank) {
+        next = i;
+        nextRank = rank;
+      }
+    });
+    return this.waitingTasks_.splice(next, 1)[0];
+  }
+}
+
+export {TaskPool};
@@ -0,0 +1,256 @@
+/**
+ * Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview A Scheduler driven by a virtual clock, for deterministic unit
+ * tests of code that uses the scheduler API.
+ */
+
+import {getDefaultStrategy} from './host-callback.js';
+import {Scheduler} from './scheduler.js';
+import {EXTENDED_SCHEDULER_PRIORITIES} from './scheduler-priorities.js';
+
+/**
+ * The maximum number of host callbacks runAll() will run before giving up,
+ * which guards against tasks that keep rescheduling themselves.
+ * @const {number}
+ */
+const MAX_RUN_ALL_CALLBACKS = 100000;
+
+/**
+ * Returns a promise that resolves in a new macrotask, after all pending
+ * microtasks have run, e.g. code following an awaited postTask() or yield().
+ * @return {!Promise<undefined>}
+ */
+function flushMicrotasks() {
+  return new Promise((resolve) => {
+    getDefaultStrategy('user-visible').queueCallback(resolve, 0);
+  });
+}
+
+/**
+ * Queues host callbacks against a virtual clock. Callbacks only run when
+ * explicitly requested, in order of their due time, and then in the order in
+ * which they were queued.
+ */
+class VirtualHost {
+  /**
+   * Constructs a VirtualHost with the virtual clock set to 0.
+   */
+  constructor() {
+    /**
+     * The current virtual time, in milliseconds.
+     * @type {number}
+     */
+    this.now = 0;
+
+    /**
+     * Pending callbacks, sorted by due time and then by handle.
+     * @private
+     * @const {!Array<{handle: number, time: number, callback: function()}>}
+     */
+    this.entries_ = [];
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.nextHandle_ = 1;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.inCallback_ = false;
+  }
+
+  /**
+   * @param {function(): undefined} callback
+   * @param {number} delay
+   * @return {number} A handle that can used for cancellation.
+   */
+  queueCallback(callback, delay) {
+    const entry = {
+      handle: this.nextHandle_++,
+      time: this.now + Math.max(0, delay || 0),
+      callback,
+    };
+    // Entries are queued with increasing handles, so the new entry goes after
+    // every entry with the same or an earlier due time.
+    let i = this.entries_.length;
+    while (i > 0 && this.entries_[i - 1].time > entry.time) --i;
+    this.entries_.splice(i, 0, entry);
+    return entry.handle;
+  }
+
+  /**
+   * @param {number} handle The handle returned by queueCallback().
+   */
+  cancelCallback(handle) {
+    const i = this.entries_.findIndex((entry) => entry.handle === handle);
+    if (i !== -1) this.entries_.splice(i, 1);
+  }
+
+  /**
+   * @param {number} time
+   * @return {boolean} Whether there is a callback due at or before `time`.
+   */
+  hasCallbackDueBy(time) {
+    return this.entries_.length > 0 && this.entries_[0].time <= time;
+  }
+
+  /**
+   * Runs the next pending callback, advancing the clock to its due time if it
+   * is in the future.
+   *
+   * @return {boolean} Whether a callback was run.
+   */
+  runNext() {
+    this.checkNotInCallback();
+    const entry = this.entries_.shift();
+    if (!entry) return false;
+    this.now = Math.max(this.now, entry.time);
+    this.inCallback_ = true;
+    try {
+      entry.callback();
+    } finally {
+      this.inCallback_ = false;
+    }
+    return true;
+  }
+
+  /**
+   * Throws if called while a host callback, i.e. a task, is running, since
+   * running the scheduler reentrantly isn't supported.
+   */
+  checkNotInCallback() {
+    if (this.inCallback_) {
+      throw new Error(
+          'TestScheduler cannot be run from within one of its own tasks.');
+    }
+  }
+}
+
+/**
+ * A Scheduler that runs tasks against a virtual clock instead of real host
+ * callbacks. Tasks, continuations and delayed tasks are only run when the
+ * test asks for it, through runNext(), runUntilIdle(), advanceBy() or
+ * runAll(). These are async so that microtasks, e.g. code after an awaited
+ * yield(), run between tasks just as they would with a real scheduler.
+ */
+class TestScheduler extends Scheduler {
+  /**
+   * Constructs a TestScheduler. The options are the same as for Scheduler,
+   * except that `hostCallbackStrategies` is ignored.
+   *
+   * @param {?Object=} options
+   */
+  constructor(options = {}) {
+    if (typeof options !== 'object' || options === null) {
+      throw new TypeError('\'options\' must be an object.');
+    }
+    const host = new VirtualHost();
+    const strategies = {delay: host};
+    for (const priority of EXTENDED_SCHEDULER_PRIORITIES) {
+      strategies[priority] = host;
+    }
+    super(Object.assign({}, options, {hostCallbackStrategies: strategies}));
+
+    /**
+     * @private
+     * @const {!VirtualHost}
+     */
+    this.host_ = host;
+  }
+
+  /**
+   * Returns the current virtual time, in milliseconds. This starts at 0 and
+   * only changes when the test runs the scheduler.
+   *
+   * @return {number}
+   */
+  now() {
+    return this.host_.now;
+  }
+
+  /**
+   * Runs the next host callback, if any, advancing the virtual clock to when
+   * it is due. Each host callback runs at least one task, or more if time
+   * slicing is enabled.
+   *
+   * @return {!Promise<boolean>} Whether anything was run.
+   */
+  async runNext() {
+    const ran = this.host_.runNext();
+    await flushMicrotasks();
+    return ran;
+  }
+
+  /**
+   * Runs everything that is runnable without advancing the virtual clock,
+   * including tasks posted while doing so.
+   *
+   * @return {!Promise<undefined>}
+   */
+  runUntilIdle() {
+    return this.advanceBy(0);
+  }
+
+  /**
+   * Advances the virtual clock by `ms` milliseconds, running tasks and delayed
+   * tasks as they come due.
+   *
+   * @param {number} ms
+   * @return {!Promise<undefined>}
+   */
+  async advanceBy(ms) {
+    if (typeof ms !== 'number' || !(ms >= 0) || ms === Infinity) {
+      throw new TypeError('\'ms\' must be a non-negative number.');
+    }
+    this.host_.checkNotInCallback();
+    const endTime = this.host_.now + ms;
+    while (this.host_.hasCallbackDueBy(endTime)) {
+      this.host_.runNext();
+      await flushMicrotasks();
+    }
+    this.host_.now = endTime;
+  }
+
+  /**
+   * Runs until there is nothing left to run, advancing the virtual clock
+   * through any delayed tasks.
+   *
+   * @return {!Promise<undefined>}
+   */
+  async runAll() {
+    for (let i = 0; i < MAX_RUN_ALL_CALLBACKS; ++i) {
+      if (!(await this.runNext())) return;
+    }
+    throw new Error(`runAll() aborted after ${MAX_RUN_ALL_CALLBACKS} host ` +
+        'callbacks; tasks might be rescheduling themselves indefinitely.');
+  }
+
+  /**
+   * @override
+   * @protected
+   * @return {number}
+   */
+  now_() {
+    return this.host_.now;
+  }
+}
+
+export {TestScheduler};
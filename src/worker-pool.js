@@ -0,0 +1,370 @@
+/**
+ * Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {globalScope} from './runtime.js';
+import {SCHEDULER_PRIORITIES} from './scheduler-priorities.js';
+import {WorkerMessageType} from './worker-protocol.js';
+
+/**
+ * Returns the default number of workers, which leaves one core for the main
+ * thread.
+ * @return {number}
+ */
+function getDefaultPoolSize() {
+  const {navigator} = globalScope;
+  const cores = typeof navigator === 'object' && navigator !== null &&
+      navigator.hardwareConcurrency;
+  return Math.max(1, (cores || 2) - 1);
+}
+
+/**
+ * Runs tasks in a pool of dedicated workers that call exposeWorkerTasks(). Each
+ * worker runs its tasks on its own Scheduler, in priority order, and the
+ * aborts and priority changes of the signals tasks are posted with are
+ * mirrored to the workers through messages.
+ *
+ * Tasks are sent to the worker with the fewest unfinished tasks, so priorities
+ * order the tasks waiting in each worker, but a task that is already running
+ * isn't preempted. If a worker fails, i.e. raises an error or messageerror
+ * event, it is terminated and replaced, and its unfinished tasks are rejected.
+ */
+class WorkerPool {
+  /**
+   * Constructs a WorkerPool. `worker` is either the URL of a module worker
+   * script, or a function that creates a worker, e.g. to pass other Worker
+   * options.
+   *
+   * @param {string|!URL|function(): !Worker} worker
+   * @param {{size: (number|undefined)}=} options `size` is the number of
+   *     workers, one less than the number of cores by default.
+   */
+  constructor(worker, options = {}) {
+    if (options == null) options = {};
+    if (typeof options !== 'object') {
+      throw new TypeError('\'options\' must be an object.');
+    }
+    const size =
+        options.size === undefined ? getDefaultPoolSize() : options.size;
+    if (!(Number.isInteger(size) && size > 0)) {
+      throw new TypeError('\'size\' must be a positive integer.');
+    }
+    const createWorker = typeof worker === 'function' ? worker :
+        () => new Worker(worker, {type: 'module'});
+
+    /**
+     * Creates the workers, including those that replace failed ones.
+     * @private
+     * @const {function(): !Worker}
+     */
+    this.createWorker_ = createWorker;
+
+    /**
+     * The workers, along with the number of their unfinished tasks and the
+     * signals those were posted with, which are mirrored in the worker until
+     * the tasks finish.
+     * @private
+     * @const {!Array<{worker: !Worker, pendingCount: number,
+     *                 signalMirrors: !Map<!AbortSignal, {signalId: number,
+     *                                                    pendingCount: number,
+     *                                                    dispose: function()}>
+     *               }>}
+     */
+    this.workers_ = [];
+
+    /**
+     * Tasks sent to workers that haven't finished, by id, along with the state
+     * of their worker.
+     * @private
+     * @const {!Map<number, {resolve: function(*), reject: function(*),
+     *                       onSettled: function(), state: !Object}>}
+     */
+    this.pendingTasks_ = new Map();
+
+    /**
+     * Used for both task and signal ids.
+     * @private
+     * @type {number}
+     */
+    this.nextId_ = 1;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.isTerminated_ = false;
+
+    for (let i = 0; i < size; ++i) this.addWorker_();
+  }
+
+  /**
+   * The number of workers.
+   * @readonly
+   * @type {number}
+   */
+  get size() {
+    return this.workers_.length;
+  }
+
+  /**
+   * Runs `task` in a worker, returning a promise that is resolved with its
+   * result, or rejected with its error, or with the signal's abort reason
+   * when the signal is aborted. `task` is either the name of a task exposed by
+   * the workers, or a function, which is sent as source code, so it can't
+   * refer to variables outside of it, and which is only run by workers that
+   * allow functions. The arguments and the result must be
+   * structured-cloneable.
+   *
+   * @param {string|!Function} task
+   * @param {!Array<*>=} args
+   * @param {{signal: (AbortSignal|undefined),
+   *          priority: (string|undefined),
+   *          delay: (number|undefined)}=} options
+   * @return {!Promise<*>}
+   */
+  postTask(task, args = [], options = {}) {
+    if (this.isTerminated_) {
+      return Promise.reject(new Error('The WorkerPool was terminated.'));
+    }
+    if (typeof task === 'function') {
+      task = {source: task.toString()};
+    } else if (typeof task !== 'string') {
+      return Promise.reject(new TypeError(
+          `'task' must be a task name or a function.`));
+    }
+    if (!Array.isArray(args)) {
+      return Promise.reject(new TypeError(`'args' must be an array.`));
+    }
+    if (options == null) options = {};
+    const {signal, priority} = options;
+    if (signal !== undefined && (signal === null || !('aborted' in signal) ||
+        typeof signal.addEventListener !== 'function')) {
+      return Promise.reject(new TypeError(
+          `'signal' is not a valid 'AbortSignal'`));
+    }
+    if (priority !== undefined && !SCHEDULER_PRIORITIES.includes(priority)) {
+      return Promise.reject(new TypeError(
+          `Invalid task priority: '${priority}'`));
+    }
+    const delay = Number(options.delay || 0);
+    if (!(delay >= 0)) {
+      return Promise.reject(new TypeError(
+          `'delay' must be a positive number.`));
+    }
+    if (signal && signal.aborted) return Promise.reject(signal.reason);
+    // Only if a failed worker couldn't be replaced.
+    if (this.workers_.length === 0) {
+      return Promise.reject(new Error('The WorkerPool has no workers.'));
+    }
+
+    const state = this.workers_.reduce((least, state) => {
+      return state.pendingCount < least.pendingCount ? state : least;
+    });
+    const id = this.nextId_++;
+    return new Promise((resolve, reject) => {
+      const message = {type: WorkerMessageType.POST, id, task, args, delay};
+      if (priority !== undefined) message.priority = priority;
+      if (signal) message.signalId = this.acquireSignalMirror_(state, signal);
+      try {
+        state.worker.postMessage(message);
+      } catch (e) {
+        // The arguments couldn't be cloned.
+        if (signal) this.releaseSignalMirror_(state, signal);
+        reject(e);
+        return;
+      }
+
+      ++state.pendingCount;
+      const onAbort = () => {
+        this.pendingTasks_.delete(id);
+        onSettled();
+        reject(signal.reason);
+      };
+      const onSettled = () => {
+        --state.pendingCount;
+        if (!signal) return;
+        signal.removeEventListener('abort', onAbort);
+        this.releaseSignalMirror_(state, signal);
+      };
+      if (signal) signal.addEventListener('abort', onAbort);
+      this.pendingTasks_.set(id, {resolve, reject, onSettled, state});
+    });
+  }
+
+  /**
+   * Terminates the workers, rejecting the promises of unfinished tasks.
+   */
+  terminate() {
+    if (this.isTerminated_) return;
+    this.isTerminated_ = true;
+    this.workers_.forEach((state) => state.worker.terminate());
+    // Settling the tasks also disposes of the signal mirrors.
+    const error = new Error('The WorkerPool was terminated.');
+    this.pendingTasks_.forEach((pendingTask) => {
+      pendingTask.onSettled();
+      pendingTask.reject(error);
+    });
+    this.pendingTasks_.clear();
+  }
+
+  /**
+   * Returns the id `signal` is mirrored as in the worker of `state`, for a task
+   * posted with it, sending the worker a mirror of the signal if no other
+   * unfinished task of the worker was posted with it.
+   * @private
+   * @param {!Object} state
+   * @param {!AbortSignal} signal
+   * @return {number}
+   */
+  acquireSignalMirror_(state, signal) {
+    let mirror = state.signalMirrors.get(signal);
+    if (mirror) {
+      ++mirror.pendingCount;
+      return mirror.signalId;
+    }
+
+    const signalId = this.nextId_++;
+    state.worker.postMessage({
+      type: WorkerMessageType.SIGNAL,
+      signalId,
+      priority: signal.priority,
+    });
+    const onPriorityChange = () => {
+      state.worker.postMessage({
+        type: WorkerMessageType.SIGNAL_PRIORITY,
+        signalId,
+        priority: signal.priority,
+      });
+    };
+    const onAbort = () => {
+      state.worker.postMessage({
+        type: WorkerMessageType.SIGNAL_ABORT,
+        signalId,
+      });
+      mirror.dispose();
+    };
+    mirror = {
+      signalId,
+      pendingCount: 1,
+      dispose: () => {
+        signal.removeEventListener('prioritychange', onPriorityChange);
+        signal.removeEventListener('abort', onAbort);
+        state.signalMirrors.delete(signal);
+      },
+    };
+    signal.addEventListener('prioritychange', onPriorityChange);
+    signal.addEventListener('abort', onAbort);
+    state.signalMirrors.set(signal, mirror);
+    return signalId;
+  }
+
+  /**
+   * Releases the mirror of `signal` in the worker of `state` for a task that
+   * finished, disposing of it, and telling the worker to do the same, once no
+   * unfinished task of the worker was posted with the signal.
+   * @private
+   * @param {!Object} state
+   * @param {!AbortSignal} signal
+   */
+  releaseSignalMirror_(state, signal) {
+    const mirror = state.signalMirrors.get(signal);
+    // Mirrors of aborted signals are disposed of when the abort is mirrored.
+    if (!mirror || --mirror.pendingCount > 0 || signal.aborted) return;
+    mirror.dispose();
+    if (this.isTerminated_) return;
+    state.worker.postMessage({
+      type: WorkerMessageType.SIGNAL_RELEASE,
+      signalId: mirror.signalId,
+    });
+  }
+
+  /**
+   * Creates a worker and adds it to the pool.
+   * @private
+   */
+  addWorker_() {
+    const state = {
+      worker: this.createWorker_(),
+      pendingCount: 0,
+      signalMirrors: new Map(),
+    };
+    state.worker.addEventListener('message', ({data}) => {
+      this.onMessage_(data);
+    });
+    state.worker.addEventListener('error', (e) => {
+      this.onWorkerFailed_(
+          state, e.error || new Error(e.message || 'The worker failed.'));
+    });
+    state.worker.addEventListener('messageerror', () => {
+      this.onWorkerFailed_(state, new Error(
+          'A message from the worker couldn\'t be deserialized.'));
+    });
+    this.workers_.push(state);
+  }
+
+  /**
+   * Replaces the worker of `state` after it failed. The worker is terminated,
+   * since it may be left in a broken state, and its unfinished tasks, which
+   * it won't finish anymore, are rejected with `error`.
+   * @private
+   * @param {!Object} state
+   * @param {*} error
+   */
+  onWorkerFailed_(state, error) {
+    const index = this.workers_.indexOf(state);
+    // The worker may have been replaced already, e.g. if it raised both an
+    // error and a messageerror event.
+    if (this.isTerminated_ || index === -1) return;
+    this.workers_.splice(index, 1);
+    state.worker.terminate();
+    this.rejectWorkerTasks_(state, error);
+    this.addWorker_();
+  }
+
+  /**
+   * Rejects the unfinished tasks of the worker of `state` with `error`.
+   * @private
+   * @param {!Object} state
+   * @param {*} error
+   */
+  rejectWorkerTasks_(state, error) {
+    this.pendingTasks_.forEach((pendingTask, id) => {
+      if (pendingTask.state !== state) return;
+      this.pendingTasks_.delete(id);
+      pendingTask.onSettled();
+      pendingTask.reject(error);
+    });
+  }
+
+  /**
+   * Handles a message from a worker.
+   * @private
+   * @param {!Object} data
+   */
+  onMessage_(data) {
+    const pendingTask = this.pendingTasks_.get(data.id);
+    // Tasks are removed when aborted, after which their outcome is ignored.
+    if (!pendingTask) return;
+    this.pendingTasks_.delete(data.id);
+    pendingTask.onSettled();
+    if (data.type === WorkerMessageType.RESULT) {
+      pendingTask.resolve(data.value);
+    } else {
+      pendingTask.reject(data.error);
+    }
+  }
+}
+
+export {WorkerPool};
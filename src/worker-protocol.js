@@ -0,0 +1,52 @@
+/**
+ * Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview The messages exchanged between a WorkerPool and the workers
+ * it runs tasks in.
+ *
+ * To workers:
+ *  - {type: POST, id, task, args, priority, signalId, delay}: Posts a task,
+ *    where `task` is either the name of a task exposed by the worker or
+ *    {source} for a function, `priority` and `signalId` are optional, and
+ *    `signalId` refers to a previous SIGNAL message.
+ *  - {type: SIGNAL, signalId, priority}: Mirrors a signal, with the priority
+ *    of TaskSignals, which tasks can be posted with.
+ *  - {type: SIGNAL_PRIORITY, signalId, priority}: A mirrored TaskSignal's
+ *    priority changed.
+ *  - {type: SIGNAL_ABORT, signalId}: A mirrored signal was aborted.
+ *  - {type: SIGNAL_RELEASE, signalId}: The tasks posted with a mirrored signal
+ *    finished, so the worker can forget it.
+ *
+ * From workers:
+ *  - {type: RESULT, id, value}: A task finished with `value`.
+ *  - {type: ERROR, id, error}: A task failed with `error`.
+ */
+
+/**
+ * @enum {string}
+ */
+const WorkerMessageType = {
+  POST: 'post',
+  SIGNAL: 'signal',
+  SIGNAL_PRIORITY: 'signal-priority',
+  SIGNAL_ABORT: 'signal-abort',
+  SIGNAL_RELEASE: 'signal-release',
+  RESULT: 'result',
+  ERROR: 'error',
+};
+
+export {WorkerMessageType};
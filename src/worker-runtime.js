@@ -0,0 +1,149 @@
+/**
+ * Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview The worker side of WorkerPool, which runs the tasks posted to
+ * the worker on its own Scheduler.
+ */
+
+import {globalScope} from './runtime.js';
+import {Scheduler} from './scheduler.js';
+import {ExtendedTaskController} from './task-controller.js';
+import {WorkerMessageType} from './worker-protocol.js';
+
+/**
+ * Runs tasks posted by a WorkerPool in this worker. `tasks` maps task names to
+ * the functions that implement them, which are called with the arguments
+ * passed to WorkerPool.postTask() and can return a promise. Functions posted
+ * by the pool, which are evaluated from their source code, are only run if
+ * `allowFunctions` is true.
+ *
+ * Tasks are run on `scheduler`, a new Scheduler by default, with the priority
+ * and signal they were posted with, whose aborts and priority changes are
+ * mirrored from the main thread.
+ *
+ * @param {!Object<string, !Function>} tasks
+ * @param {{scheduler: (!Scheduler|undefined),
+ *          allowFunctions: (boolean|undefined),
+ *          scope: (!Object|undefined)}=} options `scope` is what messages are
+ *     received from and sent to, the worker's global scope by default.
+ * @return {!Scheduler} The scheduler tasks are run on.
+ */
+function exposeWorkerTasks(tasks, options = {}) {
+  if (tasks == null || typeof tasks !== 'object') {
+    throw new TypeError(`'tasks' must be an object.`);
+  }
+  if (options == null) options = {};
+  if (typeof options !== 'object') {
+    throw new TypeError('\'options\' must be an object.');
+  }
+  const scheduler = options.scheduler || new Scheduler();
+  const allowFunctions = Boolean(options.allowFunctions);
+  const scope = options.scope || globalScope;
+
+  /**
+   * Controllers whose signals mirror the signals of the main thread, by id.
+   * @const {!Map<number, !ExtendedTaskController>}
+   */
+  const controllers = new Map();
+
+  /**
+   * Returns the function that implements the posted `task`.
+   * @param {string|{source: string}} task
+   * @return {!Function}
+   */
+  const getTaskFunction = (task) => {
+    if (typeof task === 'string') {
+      if (!Object.prototype.hasOwnProperty.call(tasks, task) ||
+          typeof tasks[task] !== 'function') {
+        throw new TypeError(`Unknown task: '${task}'`);
+      }
+      return tasks[task];
+    }
+    if (!allowFunctions) {
+      throw new TypeError('This worker only runs named tasks.');
+    }
+    return new Function(`return (${task.source});`)();
+  };
+
+  /**
+   * Sends the outcome of task `id` to the pool. Values and errors that can't
+   * be cloned are sent as errors and strings respectively.
+   * @param {number} id
+   * @param {boolean} succeeded
+   * @param {*} valueOrError
+   */
+  const sendOutcome = (id, succeeded, valueOrError) => {
+    const message = succeeded ?
+        {type: WorkerMessageType.RESULT, id, value: valueOrError} :
+        {type: WorkerMessageType.ERROR, id, error: valueOrError};
+    try {
+      scope.postMessage(message);
+    } catch (e) {
+      scope.postMessage({
+        type: WorkerMessageType.ERROR,
+        id,
+        error: succeeded ? e : String(valueOrError),
+      });
+    }
+  };
+
+  /**
+   * Posts a task to the scheduler for a POST message.
+   * @param {!Object} data
+   */
+  const onPost = (data) => {
+    const taskOptions = {delay: data.delay};
+    if (data.priority !== undefined) taskOptions.priority = data.priority;
+    if (data.signalId !== undefined) {
+      taskOptions.signal = controllers.get(data.signalId).signal;
+    }
+    scheduler.postTask(() => {
+      return getTaskFunction(data.task)(...data.args);
+    }, taskOptions).then((value) => {
+      sendOutcome(data.id, true, value);
+    }, (error) => {
+      sendOutcome(data.id, false, error);
+    });
+  };
+
+  scope.addEventListener('message', ({data}) => {
+    switch (data.type) {
+      case WorkerMessageType.POST:
+        onPost(data);
+        break;
+      case WorkerMessageType.SIGNAL:
+        controllers.set(data.signalId,
+            new ExtendedTaskController({priority: data.priority}));
+        break;
+      case WorkerMessageType.SIGNAL_PRIORITY:
+        controllers.get(data.signalId).setPriority(data.priority);
+        break;
+      case WorkerMessageType.SIGNAL_ABORT:
+        controllers.get(data.signalId).abort();
+        controllers.delete(data.signalId);
+        break;
+      case WorkerMessageType.SIGNAL_RELEASE:
+        controllers.delete(data.signalId);
+        break;
+    }
+  });
+  // Message ports only deliver messages to event listeners once started.
+  if (typeof scope.start === 'function') scope.start();
+  return scheduler;
+}
+
+export {exposeWorkerTasks};
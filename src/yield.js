@@ -15,23 +15,117 @@
  */
 
 /**
- * @fileoverview This version of scheduler.yield() is only used if
- * self.scheduler is defined. It assumes that this is the native implementation
+ * @fileoverview This version of scheduler.yield() is only used if the global
+ * scheduler is defined. It assumes that this is the native implementation
  * (i.e. running in an older browser), and it uses scheduler.postTask() to
- * schedule continuations at 'user-blocking' priority.
+ * schedule continuations.
  */
 
+import {globalScope} from './runtime.js';
+
+/**
+ * Native postTask() has no continuation queues, so continuations are posted one
+ * priority level above the priority they inherit. This keeps them ahead of
+ * tasks of the inherited priority, but they can be interleaved with tasks of
+ * the next higher priority.
+ * @const {!Object<string, string>}
+ */
+const CONTINUATION_PRIORITIES = {
+  'user-blocking': 'user-blocking',
+  'user-visible': 'user-blocking',
+  'background': 'user-visible',
+};
+
+/**
+ * The options of the scheduler.postTask() task that is currently running, or
+ * null if unknown. This is only tracked for tasks posted through a postTask()
+ * function returned by `wrapPostTask()`.
+ * @type {?Object}
+ */
+let currentTaskOptions = null;
+
+/**
+ * Returns a postTask() function for `scheduler` that records the options of the
+ * task that is running, so that continuations can inherit its priority and
+ * signal.
+ *
+ * @param {!Object} scheduler The native scheduler.
+ * @return {function(function(): *, Object=): !Promise<*>}
+ */
+function wrapPostTask(scheduler) {
+  const postTask = scheduler.postTask.bind(scheduler);
+  return (callback, options) => {
+    // Let postTask() reject invalid callbacks.
+    if (typeof callback !== 'function') return postTask(callback, options);
+
+    const taskOptions = Object.assign({}, options);
+    return postTask(() => {
+      const previousOptions = currentTaskOptions;
+      currentTaskOptions = taskOptions;
+      try {
+        return callback();
+      } finally {
+        currentTaskOptions = previousOptions;
+      }
+    }, options);
+  };
+}
+
+/**
+ * Returns a promise that is resolved in a new task, scheduled with
+ * `scheduler.postTask()`. Continuations inherit the priority and signal of the
+ * current task if it was posted with a postTask() function returned by
+ * `wrapPostTask()`. Otherwise, continuations are scheduled as 'user-blocking'
+ * tasks. As with the Scheduler polyfill, `signal` and `priority` can be passed
+ * explicitly to carry the context across `await` boundaries.
+ *
+ * @param {!Object} scheduler
+ * @param {{signal: (AbortSignal|string|undefined),
+ *          priority: (string|undefined)}=} options
+ * @return {!Promise<*>}
+ */
+function postContinuation(scheduler, options) {
+  options = Object.assign({signal: 'inherit', priority: 'inherit'}, options);
+  const inheritedOptions = currentTaskOptions || {};
+  const signal =
+      options.signal === 'inherit' ? inheritedOptions.signal : options.signal;
+  let priority = options.priority === 'inherit' ?
+      inheritedOptions.priority : options.priority;
+  if (priority === undefined) {
+    priority = (signal && signal.priority) || 'user-visible';
+  }
+  // Let postTask() reject invalid priorities.
+  if (priority in CONTINUATION_PRIORITIES) {
+    priority = CONTINUATION_PRIORITIES[priority];
+  }
+  return scheduler.postTask(() => {}, {priority, signal});
+}
+
 /**
- * Returns a promise that is resolved in a new task. This schedules
- * continuations as 'user-blocking' scheduler.postTask() tasks.
+ * Returns a promise that is resolved in a new task, scheduled with
+ * `globalThis.scheduler.postTask()`. See `postContinuation()`.
  *
+ * @param {{signal: (AbortSignal|string|undefined),
+ *          priority: (string|undefined)}=} options
  * @return {!Promise<*>}
  */
-function schedulerYield() {
-  // Use 'user-blocking' priority to get similar scheduling behavior as
-  // scheduler.yield(). Note: we can't reliably inherit priority and abort since
-  // we lose context if async functions are spread across multiple tasks.
-  return self.scheduler.postTask(() => {}, {priority: 'user-blocking'});
+function schedulerYield(options) {
+  return postContinuation(globalScope.scheduler, options);
+}
+
+/**
+ * Returns a yield() function bound to `scheduler`. This is the scheduler's own
+ * yield() method if it has one, and otherwise schedules continuations with
+ * `scheduler.postTask()`. See `postContinuation()`.
+ *
+ * @param {!Object} scheduler
+ * @return {function(Object=): !Promise<*>}
+ */
+function bindSchedulerYield(scheduler) {
+  if (typeof scheduler.yield === 'function') {
+    return scheduler.yield.bind(scheduler);
+  }
+  return (options) => postContinuation(scheduler, options);
 }
 
-export {schedulerYield};
+export {schedulerYield, bindSchedulerYield, wrapPostTask};
@@ -0,0 +1,225 @@
+/**
+ * Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {debounce, throttle} from '../src/debounce.js';
+import {TaskController} from '../src/task-controller.js';
+import {TestScheduler} from '../src/test-scheduler.js';
+
+describe('debounce', function() {
+  let scheduler;
+  let calls;
+
+  /**
+   * Records the time and argument of each call in `calls`.
+   * @param {*} arg
+   */
+  function record(arg) {
+    calls.push(`${arg}@${scheduler.now()}`);
+  }
+
+  /**
+   * Calls `func` with the current time at each of `times`, in milliseconds,
+   * running the scheduler in between and until `endTime`.
+   * @param {!Function} func
+   * @param {!Array<number>} times
+   * @param {number} endTime
+   * @return {!Promise<undefined>}
+   */
+  async function callAt(func, times, endTime) {
+    for (const time of times) {
+      await scheduler.advanceBy(time - scheduler.now());
+      func(time);
+    }
+    await scheduler.advanceBy(endTime - scheduler.now());
+  }
+
+  beforeEach(function() {
+    scheduler = new TestScheduler();
+    calls = [];
+  });
+
+  describe('debounce()', function() {
+    it('should invoke on the trailing edge', async function() {
+      const debounced = debounce(scheduler, record, {wait: 10});
+      await callAt(debounced, [0, 5, 8, 30], 50);
+      expect(calls).to.deep.equal(['8@18', '30@40']);
+    });
+
+    it('should invoke on the leading edge', async function() {
+      const debounced = debounce(scheduler, record, {
+        wait: 10,
+        leading: true,
+        trailing: false,
+      });
+      await callAt(debounced, [0, 5, 8, 30], 50);
+      expect(calls).to.deep.equal(['0@0', '30@30']);
+    });
+
+    it('should invoke at least every maxWait', async function() {
+      const debounced = debounce(scheduler, record, {wait: 10, maxWait: 15});
+      await callAt(debounced, [0, 5, 10, 15, 20, 25, 30], 50);
+      expect(calls).to.deep.equal(['10@15', '25@30', '30@40']);
+    });
+
+    it('should preserve this and the arguments', async function() {
+      /**
+       * @this {Object}
+       * @param {...*} args
+       */
+      function func(...args) {
+        calls.push([this, ...args]);
+      }
+      const debounced = debounce(scheduler, func);
+      const thisArg = {debounced};
+      thisArg.debounced(1, 2);
+      await scheduler.runAll();
+      expect(calls).to.deep.equal([[thisArg, 1, 2]]);
+    });
+
+    it('should run at the given priority', async function() {
+      const priorities = [];
+      const debounced = debounce(scheduler, () => {
+        priorities.push(scheduler.currentTask.priority);
+      }, {priority: 'background', leading: true});
+      debounced();
+      debounced();
+      await scheduler.runAll();
+      expect(priorities).to.deep.equal(['background', 'background']);
+    });
+
+    it('should follow the signal\'s priority', async function() {
+      const priorities = [];
+      const controller = new TaskController({priority: 'background'});
+      const debounced = debounce(scheduler, () => {
+        priorities.push(scheduler.currentTask.priority);
+      }, {wait: 10, signal: controller.signal});
+      debounced();
+      controller.setPriority('user-blocking');
+      await scheduler.runAll();
+      expect(priorities).to.deep.equal(['user-blocking']);
+    });
+
+    it('should stop when the signal is aborted', async function() {
+      const controller = new AbortController();
+      const debounced =
+          debounce(scheduler, record, {wait: 10, signal: controller.signal});
+      debounced(0);
+      expect(debounced.pending()).to.equal(true);
+      controller.abort();
+      expect(debounced.pending()).to.equal(false);
+      debounced(1);
+      await scheduler.runAll();
+      expect(calls).to.deep.equal([]);
+    });
+
+    it('should support cancel() and flush()', async function() {
+      const debounced = debounce(scheduler, record, {wait: 10});
+      debounced(0);
+      debounced.cancel();
+      expect(debounced.pending()).to.equal(false);
+      await scheduler.runAll();
+      expect(calls).to.deep.equal([]);
+
+      debounced(1);
+      debounced.flush();
+      expect(calls).to.deep.equal([`1@${scheduler.now()}`]);
+      expect(debounced.pending()).to.equal(false);
+      await scheduler.runAll();
+      expect(calls.length).to.equal(1);
+    });
+
+    it('should abort superseded timers', async function() {
+      const debounced = debounce(scheduler, record, {wait: 10});
+      debounced(0);
+      debounced.cancel();
+      // runAll() would advance the clock to a pending timer.
+      await scheduler.runAll();
+      expect(scheduler.now()).to.equal(0);
+
+      debounced(1);
+      debounced.flush();
+      await scheduler.runAll();
+      expect(scheduler.now()).to.equal(0);
+      expect(calls).to.deep.equal(['1@0']);
+    });
+
+    it('should stop following the signal once timers are done',
+        async function() {
+          const controller = new TaskController();
+          const listeners = [];
+          const addEventListener = controller.signal.addEventListener;
+          controller.signal.addEventListener = function(type, listener) {
+            listeners.push(type);
+            addEventListener.call(this, type, listener);
+          };
+          const removeEventListener = controller.signal.removeEventListener;
+          controller.signal.removeEventListener = function(type, listener) {
+            listeners.splice(listeners.indexOf(type), 1);
+            removeEventListener.call(this, type, listener);
+          };
+          const debounced = debounce(
+              scheduler, record, {wait: 10, signal: controller.signal});
+          debounced(0);
+          debounced.cancel();
+          debounced(1);
+          await scheduler.runAll();
+          expect(calls).to.deep.equal(['1@10']);
+          expect(listeners).to.deep.equal([]);
+        });
+
+    it('should report exceptions', async function() {
+      const reportError = self.reportError;
+      const errors = [];
+      self.reportError = (e) => errors.push(e);
+      try {
+        const error = new Error('error');
+        debounce(scheduler, () => {
+          throw error;
+        })();
+        await scheduler.runAll();
+        expect(errors).to.deep.equal([error]);
+      } finally {
+        self.reportError = reportError;
+      }
+    });
+
+    it('should throw for invalid arguments', function() {
+      expect(() => debounce(null, record)).to.throw(TypeError);
+      expect(() => debounce(scheduler, null)).to.throw(TypeError);
+      [
+        {wait: -1}, {wait: 'abc'}, {maxWait: -1}, {priority: 'high'},
+        {signal: {}},
+      ].forEach((options) => {
+        expect(() => debounce(scheduler, record, options)).to.throw(TypeError);
+      });
+    });
+  });
+
+  describe('throttle()', function() {
+    it('should invoke on both edges', async function() {
+      const throttled = throttle(scheduler, record, {wait: 10});
+      await callAt(throttled, [0, 2, 4, 6, 8, 10, 12], 50);
+      expect(calls).to.deep.equal(['0@0', '8@10', '12@20']);
+    });
+
+    it('should only invoke on the leading edge', async function() {
+      const throttled =
+          throttle(scheduler, record, {wait: 10, trailing: false});
+      await callAt(throttled, [0, 2, 4, 6, 8, 10, 12], 50);
+      expect(calls).to.deep.equal(['0@0', '10@10']);
+    });
+  });
+});
@@ -14,9 +14,43 @@
  * limitations under the License.
  */
 
-import {HostCallback} from '../src/host-callback.js';
+import {
+  HostCallback,
+  MicrotaskCallbackManager,
+  getDefaultStrategy,
+  microtaskStrategy,
+  nativePostTaskStrategy,
+  setTimeoutStrategy,
+} from '../src/host-callback.js';
+import {canUnrefTimers, getNativeScheduler} from '../src/runtime.js';
 import {SCHEDULER_PRIORITIES} from '../src/scheduler-priorities.js';
 
+/**
+ * Replaces navigator.scheduling, and hides the native scheduler, which
+ * 'user-blocking' host callbacks prefer over other APIs.
+ * @param {?Object} scheduling The navigator.scheduling replacement.
+ * @return {function()} A function that restores the original APIs.
+ */
+function stubUserBlockingApis(scheduling) {
+  const originalScheduler = window.Scheduler;
+  const originalNavigator =
+      Object.getOwnPropertyDescriptor(window, 'navigator');
+  window.Scheduler = undefined;
+  Object.defineProperty(window, 'navigator', {
+    value: {scheduling},
+    configurable: true,
+    writable: true,
+  });
+  return () => {
+    window.Scheduler = originalScheduler;
+    if (originalNavigator) {
+      Object.defineProperty(window, 'navigator', originalNavigator);
+    } else {
+      delete window.navigator;
+    }
+  };
+}
+
 describe('HostCallback', function() {
   describe('#schedule_()', function() {
     const testConfigs = [
@@ -51,6 +85,27 @@ describe('HostCallback', function() {
     });
   });
 
+  describe('#runCallback_()', function() {
+    it('should pass the IdleDeadline to idle callbacks', function(done) {
+      const hasRequestIdleCallback = typeof requestIdleCallback === 'function';
+      new HostCallback((deadline) => {
+        if (hasRequestIdleCallback) {
+          expect(deadline.timeRemaining()).to.be.a('number');
+        } else {
+          expect(deadline).to.equal(undefined);
+        }
+        done();
+      }, 'background');
+    });
+
+    it('should not pass an IdleDeadline to other callbacks', function(done) {
+      new HostCallback((deadline) => {
+        expect(deadline).to.equal(undefined);
+        done();
+      }, 'user-visible');
+    });
+  });
+
   describe('#isIdleCallback()', function() {
     it('should return true for background tasks if requestIdleCallback exists',
         function() {
@@ -74,13 +129,21 @@ describe('HostCallback', function() {
 
   describe('#isMessageChannelCallback_()', function() {
     let originalMessageChannel = null;
+    let originalSetImmediate = null;
+    let restoreUserBlockingApis = null;
 
     beforeEach(function() {
+      restoreUserBlockingApis = stubUserBlockingApis(null);
       originalMessageChannel = window.MessageChannel;
+      // setImmediate is preferred over MessageChannel where available.
+      originalSetImmediate = window.setImmediate;
+      window.setImmediate = undefined;
     });
 
     afterEach(function() {
       window.MessageChannel = originalMessageChannel;
+      window.setImmediate = originalSetImmediate;
+      restoreUserBlockingApis();
     });
 
     ['user-visible', 'user-blocking'].forEach((priority) => {
@@ -100,6 +163,276 @@ describe('HostCallback', function() {
   });
 
 
+  describe('#isSetImmediateCallback_()', function() {
+    let originalSetImmediate = null;
+    let originalClearImmediate = null;
+    let pendingCallbacks = null;
+    let restoreUserBlockingApis = null;
+
+    beforeEach(function() {
+      restoreUserBlockingApis = stubUserBlockingApis(null);
+      originalSetImmediate = window.setImmediate;
+      originalClearImmediate = window.clearImmediate;
+      const callbacks = pendingCallbacks = new Map();
+      let nextHandle = 1;
+      window.setImmediate = (callback) => {
+        const handle = nextHandle++;
+        callbacks.set(handle, callback);
+        setTimeout(() => {
+          if (callbacks.has(handle)) callbacks.get(handle)();
+        });
+        return handle;
+      };
+      window.clearImmediate = (handle) => callbacks.delete(handle);
+    });
+
+    afterEach(function() {
+      window.setImmediate = originalSetImmediate;
+      window.clearImmediate = originalClearImmediate;
+      restoreUserBlockingApis();
+    });
+
+    ['user-visible', 'user-blocking'].forEach((priority) => {
+      it(`should use setImmediate when avaliable for "${priority}"`,
+          function(done) {
+            const hostCallback = new HostCallback(done, priority);
+            expect(hostCallback.isSetImmediateCallback_()).to.equal(true);
+            expect(pendingCallbacks.size).to.equal(1);
+          });
+
+      it(`should cancel setImmediate callbacks for "${priority}"`,
+          function() {
+            const hostCallback = new HostCallback(() => {}, priority);
+            hostCallback.cancel();
+            expect(pendingCallbacks.size).to.equal(0);
+          });
+    });
+
+    it('should not use setImmediate for delayed callbacks', function() {
+      const hostCallback = new HostCallback(() => {}, null, 5);
+      hostCallback.cancel();
+      expect(hostCallback.isSetImmediateCallback_()).to.equal(false);
+      expect(pendingCallbacks.size).to.equal(0);
+    });
+  });
+
+  describe('#isAnimationFrameCallback_()', function() {
+    let originalRequestAnimationFrame = null;
+    let originalCancelAnimationFrame = null;
+    let pendingCallbacks = null;
+
+    beforeEach(function() {
+      originalRequestAnimationFrame = window.requestAnimationFrame;
+      originalCancelAnimationFrame = window.cancelAnimationFrame;
+      const callbacks = pendingCallbacks = new Map();
+      let nextHandle = 1;
+      window.requestAnimationFrame = (callback) => {
+        const handle = nextHandle++;
+        callbacks.set(handle, callback);
+        setTimeout(() => {
+          if (callbacks.has(handle)) callbacks.get(handle)(performance.now());
+        });
+        return handle;
+      };
+      window.cancelAnimationFrame = (handle) => callbacks.delete(handle);
+    });
+
+    afterEach(function() {
+      window.requestAnimationFrame = originalRequestAnimationFrame;
+      window.cancelAnimationFrame = originalCancelAnimationFrame;
+    });
+
+    it('should use requestAnimationFrame for "render-blocking"',
+        function(done) {
+          const hostCallback = new HostCallback((deadline) => {
+            expect(deadline).to.equal(undefined);
+            done();
+          }, 'render-blocking');
+          expect(hostCallback.isAnimationFrameCallback_()).to.equal(true);
+          expect(pendingCallbacks.size).to.equal(1);
+        });
+
+    it('should cancel requestAnimationFrame callbacks', function() {
+      const hostCallback = new HostCallback(() => {}, 'render-blocking');
+      hostCallback.cancel();
+      expect(pendingCallbacks.size).to.equal(0);
+    });
+
+    it('should fall back to the "user-blocking" strategy without ' +
+        'requestAnimationFrame', function() {
+      window.requestAnimationFrame = undefined;
+      const hostCallback = new HostCallback(() => {}, 'render-blocking');
+      hostCallback.cancel();
+      expect(hostCallback.isAnimationFrameCallback_()).to.equal(false);
+      expect(hostCallback.usesStrategy(getDefaultStrategy('user-blocking')))
+          .to.equal(true);
+    });
+
+    it('should not use requestAnimationFrame for other priorities', function() {
+      SCHEDULER_PRIORITIES.forEach((priority) => {
+        const hostCallback = new HostCallback(() => {}, priority);
+        hostCallback.cancel();
+        expect(hostCallback.isAnimationFrameCallback_()).to.equal(false);
+      });
+      expect(pendingCallbacks.size).to.equal(0);
+    });
+  });
+
+  describe('user-blocking callbacks', function() {
+    let restoreUserBlockingApis = null;
+
+    afterEach(function() {
+      if (restoreUserBlockingApis) restoreUserBlockingApis();
+      restoreUserBlockingApis = null;
+    });
+
+    it('should use the native scheduler if available', function(done) {
+      const hostCallback = new HostCallback(done, 'user-blocking');
+      expect(hostCallback.usesStrategy(nativePostTaskStrategy)).to.equal(
+          getNativeScheduler() !== null);
+    });
+
+    it('should use microtasks if isInputPending() is available', function() {
+      restoreUserBlockingApis = stubUserBlockingApis({
+        isInputPending: () => false,
+      });
+      expect(getDefaultStrategy('user-blocking')).to.equal(microtaskStrategy);
+      expect(getDefaultStrategy('user-visible'))
+          .to.not.equal(microtaskStrategy);
+    });
+
+    it('should not use microtasks otherwise', function() {
+      restoreUserBlockingApis = stubUserBlockingApis(null);
+      expect(getDefaultStrategy('user-blocking'))
+          .to.equal(getDefaultStrategy('user-visible'));
+    });
+  });
+
+  describe('MicrotaskCallbackManager', function() {
+    let restoreUserBlockingApis = null;
+    let inputPending = false;
+
+    beforeEach(function() {
+      inputPending = false;
+      restoreUserBlockingApis = stubUserBlockingApis({
+        isInputPending: () => inputPending,
+      });
+    });
+
+    afterEach(function() {
+      restoreUserBlockingApis();
+    });
+
+    it('should run callbacks before other tasks', function(done) {
+      const manager = new MicrotaskCallbackManager();
+      let result = '';
+      getDefaultStrategy('user-visible').queueCallback(() => {
+        expect(result).to.equal('12');
+        done();
+      }, 0);
+      manager.queueCallback(() => {
+        result += '1';
+      });
+      manager.queueCallback(() => {
+        result += '2';
+      });
+    });
+
+    it('should cancel callbacks', function(done) {
+      const manager = new MicrotaskCallbackManager();
+      const handle = manager.queueCallback(() => {
+        assert.ok(false);
+      });
+      manager.cancelCallback(handle);
+      setTimeout(done);
+    });
+
+    it('should use macrotasks once the budget is used up', function(done) {
+      const manager = new MicrotaskCallbackManager(0);
+      let result = '';
+      manager.queueCallback(() => {
+        result += 'microtask ';
+        // This can't run in a microtask because the burst is over.
+        const handle = manager.queueCallback(() => {
+          result += 'macrotask ';
+          // The event loop has run other tasks since the burst, so this can.
+          manager.queueCallback(() => {
+            result += 'microtask';
+            expect(result).to.equal('microtask macrotask microtask');
+            done();
+          });
+        });
+        expect(handle).to.have.property('macrotaskHandle');
+      });
+    });
+
+    it('should use macrotasks if input is pending', function(done) {
+      const manager = new MicrotaskCallbackManager();
+      inputPending = true;
+      let ranMacrotask = false;
+      getDefaultStrategy('user-visible').queueCallback(() => {
+        ranMacrotask = true;
+      }, 0);
+      manager.queueCallback(() => {
+        expect(ranMacrotask).to.equal(true);
+        done();
+      });
+    });
+  });
+
+  describe('#isTimeoutCallback_()', function() {
+    it('should use timers for background callbacks in server runtimes',
+        function() {
+          const hostCallback = new HostCallback(() => {}, 'background');
+          hostCallback.cancel();
+          const usesTimers =
+              typeof requestIdleCallback !== 'function' && canUnrefTimers();
+          expect(hostCallback.isTimeoutCallback_()).to.equal(usesTimers);
+          // The timers must be ref'd, so that queued background tasks keep
+          // the process alive.
+          expect(hostCallback.usesStrategy(setTimeoutStrategy))
+              .to.equal(usesTimers);
+        });
+  });
+
+  describe('#usesStrategy()', function() {
+    it('should queue and cancel callbacks with the given strategy',
+        function(done) {
+          const handles = [];
+          const strategy = {
+            queueCallback: (callback, delay) => {
+              expect(delay).to.equal(0);
+              handles.push('handle');
+              setTimeout(callback);
+              return 'handle';
+            },
+            cancelCallback: (handle) => {
+              expect(handle).to.equal('handle');
+              done();
+            },
+          };
+          const hostCallback = new HostCallback(() => {
+            assert.ok(false);
+          }, 'user-visible', 0, strategy);
+          expect(hostCallback.usesStrategy(strategy)).to.equal(true);
+          expect(handles.length).to.equal(1);
+          hostCallback.cancel();
+        });
+
+    it('should use the default strategy if none is given', function() {
+      const hostCallback = new HostCallback(() => {}, 'user-blocking');
+      hostCallback.cancel();
+      expect(hostCallback.usesStrategy(getDefaultStrategy('user-blocking')))
+          .to.equal(true);
+    });
+
+    it('should use setTimeout for delayed callbacks by default', function() {
+      const hostCallback = new HostCallback(() => {}, null, 5);
+      hostCallback.cancel();
+      expect(hostCallback.usesStrategy(setTimeoutStrategy)).to.equal(true);
+    });
+  });
+
   describe('#cancel()', function() {
     const testConfigs = [
       {delay: 0},
@@ -0,0 +1,108 @@
+/**
+ * Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {IntrusiveTaskHeap} from '../src/intrusive-task-heap.js';
+
+describe('IntrusiveTaskHeap', function() {
+  /**
+   * Returns a heap of tasks ordered by their `time`.
+   * @return {!IntrusiveTaskHeap}
+   */
+  function createHeap() {
+    return new IntrusiveTaskHeap((task) => task.time);
+  }
+
+  /**
+   * Removes the tasks from `heap` in order and returns their times.
+   * @param {!IntrusiveTaskHeap} heap
+   * @return {!Array<number>}
+   */
+  function drain(heap) {
+    const times = [];
+    while (!heap.isEmpty()) {
+      const task = heap.peek();
+      times.push(task.time);
+      expect(heap.remove(task)).to.equal(true);
+    }
+    return times;
+  }
+
+  describe('#isEmpty()', function() {
+    it('should be true for new heaps', function() {
+      const heap = createHeap();
+      expect(heap.isEmpty()).to.equal(true);
+      expect(heap.peek()).to.equal(null);
+    });
+
+    it('should be false when tasks are added', function() {
+      const heap = createHeap();
+      heap.push({time: 1});
+      expect(heap.isEmpty()).to.equal(false);
+    });
+  });
+
+  describe('#peek()', function() {
+    it('should return the task with the smallest key', function() {
+      const heap = createHeap();
+      const tasks = [5, 3, 8, 1, 9].map((time) => ({time}));
+      tasks.forEach((task) => heap.push(task));
+      expect(heap.peek()).to.equal(tasks[3]);
+    });
+  });
+
+  describe('#remove()', function() {
+    it('should remove tasks in key order', function() {
+      const heap = createHeap();
+      const times = [];
+      for (let i = 0; i < 100; i++) {
+        const time = (i * 37) % 101;
+        times.push(time);
+        heap.push({time});
+      }
+      expect(drain(heap)).to.deep.equal(times.sort((a, b) => a - b));
+    });
+
+    it('should remove tasks from anywhere in the heap', function() {
+      const heap = createHeap();
+      const tasks = [];
+      for (let i = 0; i < 20; i++) {
+        tasks.push({time: (i * 7) % 20});
+        heap.push(tasks[i]);
+      }
+      const removed = new Set();
+      tasks.forEach((task, i) => {
+        if (i % 3 !== 0) return;
+        expect(heap.remove(task)).to.equal(true);
+        removed.add(task.time);
+      });
+      const remaining = tasks.map((task) => task.time)
+          .filter((time) => !removed.has(time))
+          .sort((a, b) => a - b);
+      expect(drain(heap)).to.deep.equal(remaining);
+    });
+
+    it('should not remove tasks that aren\'t in the heap', function() {
+      const heap = createHeap();
+      const task = {time: 1};
+      expect(heap.remove(task)).to.equal(false);
+      heap.push(task);
+      expect(createHeap().remove(task)).to.equal(false);
+      expect(heap.remove(task)).to.equal(true);
+      expect(heap.remove(task)).to.equal(false);
+      expect(heap.remove(null)).to.equal(false);
+    });
+  });
+});
@@ -77,6 +77,73 @@ describe('IntrusiveTaskQueue', function() {
     });
   });
 
+  describe('#peekNextTask()', function() {
+    it('should return the oldest task without removing it', function() {
+      const tq = new IntrusiveTaskQueue();
+      expect(tq.peekNextTask()).to.equal(null);
+
+      const task1 = {value: 1};
+      tq.push(task1);
+      tq.push({value: 2});
+      expect(tq.peekNextTask()).to.equal(task1);
+      expect(tq.peekNextTask()).to.equal(task1);
+      expect(tq.takeNextTask()).to.equal(task1);
+      expect(tq.peekNextTask().value).to.equal(2);
+    });
+  });
+
+  describe('#remove()', function() {
+    it('should remove tasks from anywhere in the queue', function() {
+      const tq = new IntrusiveTaskQueue();
+      const tasks = [0, 1, 2, 3, 4].map((id) => ({id}));
+      tasks.forEach((task) => tq.push(task));
+
+      expect(tq.remove(tasks[0])).to.equal(true);
+      expect(tq.remove(tasks[2])).to.equal(true);
+      expect(tq.remove(tasks[4])).to.equal(true);
+
+      expect(tq.takeNextTask().id).to.equal(1);
+      expect(tq.takeNextTask().id).to.equal(3);
+      expect(tq.isEmpty()).to.equal(true);
+    });
+
+    it('should clear the pointers of removed tasks', function() {
+      const tq = new IntrusiveTaskQueue();
+      const tasks = [0, 1, 2].map((id) => ({id}));
+      tasks.forEach((task) => tq.push(task));
+
+      tq.remove(tasks[1]);
+      expect(tasks[1].tq_prev_).to.equal(null);
+      expect(tasks[1].tq_next_).to.equal(null);
+    });
+
+    it('should not remove tasks that are not in the queue', function() {
+      const tq = new IntrusiveTaskQueue();
+      const otherTq = new IntrusiveTaskQueue();
+      const task = {};
+      otherTq.push(task);
+
+      expect(tq.remove(task)).to.equal(false);
+      expect(tq.remove({})).to.equal(false);
+      expect(otherTq.takeNextTask()).to.equal(task);
+      expect(otherTq.remove(task)).to.equal(false);
+    });
+
+    it('should remove tasks that were merged into the queue', function() {
+      const sourceQueue = new IntrusiveTaskQueue();
+      const destinationQueue = new IntrusiveTaskQueue();
+      const task = {id: 1};
+      sourceQueue.push(task);
+      destinationQueue.push({id: 2});
+
+      destinationQueue.merge(sourceQueue, () => true);
+      expect(sourceQueue.remove(task)).to.equal(false);
+      expect(destinationQueue.remove(task)).to.equal(true);
+      expect(destinationQueue.takeNextTask().id).to.equal(2);
+      expect(destinationQueue.isEmpty()).to.equal(true);
+    });
+  });
+
   describe('#merge()', function() {
     it('should not fail for empty queues', function() {
       const sourceQueue = new IntrusiveTaskQueue();
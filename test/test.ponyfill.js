@@ -0,0 +1,107 @@
+/**
+ * Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {debounce, throttle} from '../src/debounce.js';
+import * as ponyfill from '../src/ponyfill.js';
+import {
+  Scheduler,
+  postPeriodicTask,
+  shouldYield,
+} from '../src/scheduler.js';
+import {
+  ExtendedTaskController,
+  TaskSignal,
+  TaskPriorityChangeEvent,
+} from '../src/task-controller.js';
+import {TaskGroup} from '../src/task-group.js';
+import {TaskPool} from '../src/task-pool.js';
+import {WorkerPool} from '../src/worker-pool.js';
+
+describe('ponyfill', function() {
+  it('should export the polyfill implementation', function() {
+    expect(ponyfill.Scheduler).to.equal(Scheduler);
+    expect(ponyfill.postPeriodicTask).to.equal(postPeriodicTask);
+    expect(ponyfill.shouldYield).to.equal(shouldYield);
+    expect(ponyfill.debounce).to.equal(debounce);
+    expect(ponyfill.throttle).to.equal(throttle);
+    expect(ponyfill.TaskController).to.equal(ExtendedTaskController);
+    expect(ponyfill.TaskSignal).to.equal(TaskSignal);
+    expect(ponyfill.TaskPriorityChangeEvent).to.equal(TaskPriorityChangeEvent);
+    expect(ponyfill.TaskGroup).to.equal(TaskGroup);
+    expect(ponyfill.TaskPool).to.equal(TaskPool);
+    expect(ponyfill.WorkerPool).to.equal(WorkerPool);
+    expect(ponyfill.bindSchedulerYield).to.be.a('function');
+  });
+
+  it('should not add non-standard methods to schedulers', function() {
+    const scheduler = new Scheduler();
+    [
+      'createPool', 'createTaskGroup', 'debounce', 'postPeriodicTask',
+      'shouldYield', 'throttle',
+    ].forEach((name) => {
+      expect(scheduler).not.to.have.property(name);
+    });
+  });
+
+  it('should export the built-in host callback strategies', function() {
+    [
+      ponyfill.animationFrameStrategy,
+      ponyfill.backgroundTimerStrategy,
+      ponyfill.idleCallbackStrategy,
+      ponyfill.microtaskStrategy,
+      ponyfill.nativePostTaskStrategy,
+      ponyfill.postMessageStrategy,
+      ponyfill.setImmediateStrategy,
+      ponyfill.setTimeoutStrategy,
+    ].forEach((strategy) => {
+      expect(strategy.queueCallback).to.be.a('function');
+      expect(strategy.cancelCallback).to.be.a('function');
+    });
+  });
+
+  describe('#bindSchedulerYield()', function() {
+    it('should use the scheduler\'s yield() if it has one', async function() {
+      const scheduler = new Scheduler();
+      const schedulerYield = ponyfill.bindSchedulerYield(scheduler);
+      let result = '';
+      await scheduler.postTask(async () => {
+        const task = scheduler.postTask(() => {
+          result += 'task';
+        });
+        await schedulerYield();
+        result += 'continuation ';
+        await task;
+      });
+      expect(result).to.equal('continuation task');
+    });
+
+    it('should use postTask() if the scheduler has no yield()',
+        async function() {
+          const scheduler = new Scheduler();
+          const options = [];
+          const schedulerYield = ponyfill.bindSchedulerYield({
+            postTask: (callback, taskOptions) => {
+              options.push(taskOptions);
+              return scheduler.postTask(callback, taskOptions);
+            },
+          });
+          await schedulerYield();
+          await schedulerYield({priority: 'background'});
+          expect(options.map(({priority}) => priority))
+              .to.deep.equal(['user-blocking', 'user-visible']);
+        });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  getNativeScheduler,
+  globalScope,
+  isInputPending,
+  isNativeFunction,
+  reportError,
+  unrefTimer,
+} from '../src/runtime.js';
+import {Scheduler} from '../src/scheduler.js';
+
+describe('runtime', function() {
+  describe('globalScope', function() {
+    it('should be the global object', function() {
+      expect(globalScope).to.equal(self);
+      expect(globalScope.scheduler).to.equal(self.scheduler);
+    });
+  });
+
+  describe('#isNativeFunction()', function() {
+    it('should detect functions implemented by the runtime', function() {
+      expect(isNativeFunction(Math.max)).to.equal(true);
+      expect(isNativeFunction(Function.prototype.toString)).to.equal(true);
+      expect(isNativeFunction(() => {})).to.equal(false);
+      expect(isNativeFunction(Scheduler)).to.equal(false);
+      expect(isNativeFunction(null)).to.equal(false);
+    });
+  });
+
+  describe('#getNativeScheduler()', function() {
+    it('should ignore the polyfill', function() {
+      const originalScheduler = self.Scheduler;
+      const originalGlobalScheduler = self.scheduler;
+      self.Scheduler = Scheduler;
+      self.scheduler = new Scheduler();
+      try {
+        expect(getNativeScheduler()).to.equal(null);
+      } finally {
+        self.Scheduler = originalScheduler;
+        self.scheduler = originalGlobalScheduler;
+      }
+    });
+  });
+
+  describe('#isInputPending()', function() {
+    it('should use navigator.scheduling.isInputPending()', function() {
+      const originalNavigator =
+          Object.getOwnPropertyDescriptor(self, 'navigator');
+      let inputPending = true;
+      Object.defineProperty(self, 'navigator', {
+        value: {scheduling: {isInputPending: () => inputPending}},
+        configurable: true,
+      });
+      try {
+        expect(isInputPending()).to.equal(true);
+        inputPending = false;
+        expect(isInputPending()).to.equal(false);
+      } finally {
+        if (originalNavigator) {
+          Object.defineProperty(self, 'navigator', originalNavigator);
+        } else {
+          delete self.navigator;
+        }
+      }
+    });
+  });
+
+  describe('#reportError()', function() {
+    it('should use the global reportError() if available', function() {
+      const originalReportError = self.reportError;
+      const errors = [];
+      self.reportError = (e) => errors.push(e);
+      try {
+        const error = new Error('reported');
+        reportError(error);
+        expect(errors).to.deep.equal([error]);
+      } finally {
+        self.reportError = originalReportError;
+      }
+    });
+  });
+
+  describe('#unrefTimer()', function() {
+    it('should unref timer objects', function() {
+      let unrefCalled = false;
+      unrefTimer({
+        unref: () => {
+          unrefCalled = true;
+        },
+      });
+      expect(unrefCalled).to.equal(true);
+    });
+
+    it('should ignore numeric timer handles', function() {
+      const handle = setTimeout(() => {});
+      unrefTimer(typeof handle === 'number' ? handle : 1);
+      clearTimeout(handle);
+    });
+  });
+});
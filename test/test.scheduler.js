@@ -14,12 +14,34 @@
  * limitations under the License.
  */
 
-import {Scheduler} from '../src/scheduler.js';
+import {
+  Scheduler,
+  postPeriodicTask,
+  shouldYield,
+} from '../src/scheduler.js';
 import {SCHEDULER_PRIORITIES} from '../src/scheduler-priorities.js';
-import {TaskController} from '../src/task-controller.js';
+import {
+  ExtendedTaskController,
+  TaskController,
+  TaskSignal,
+} from '../src/task-controller.js';
+import {TestScheduler} from '../src/test-scheduler.js';
 import {yieldCommonTests} from './test.yield.common.js';
 
 describe('Scheduler', function() {
+  let clock = 0;
+
+  /**
+   * A Scheduler with a fake clock, which only advances when `clock` is set, so
+   * that timings are exact.
+   */
+  class FakeClockScheduler extends Scheduler {
+    /** @override */
+    now_() {
+      return clock;
+    }
+  }
+
   describe('#postTask()', function() {
     SCHEDULER_PRIORITIES.forEach((priority) => {
       it('should run ' + priority + ' tasks', function() {
@@ -249,6 +271,38 @@ describe('Scheduler', function() {
       });
     });
 
+    it('should remove aborted tasks from their queue', function() {
+      const scheduler = new Scheduler();
+      const controller = new TaskController();
+      const signal = controller.signal;
+
+      for (let i = 0; i < 5; i++) {
+        scheduler.postTask(() => {}, {signal}).catch(() => {});
+        scheduler.yield({signal}).catch(() => {});
+      }
+      expect(scheduler.nextTaskPriority_().priority).to.equal('user-visible');
+
+      controller.abort();
+      expect(scheduler.nextTaskPriority_().priority).to.equal(null);
+      expect(scheduler.pendingHostCallback_).to.equal(null);
+    });
+
+    it('should downgrade the host callback when higher priority tasks are ' +
+        'aborted', async function() {
+      const scheduler = new Scheduler();
+      const controller = new TaskController({priority: 'user-blocking'});
+
+      scheduler.postTask(() => {}, {signal: controller.signal})
+          .catch(() => {});
+      const task = scheduler.postTask(() => {}, {priority: 'background'});
+      expect(scheduler.pendingHostCallback_.isIdleCallback()).to.equal(false);
+
+      controller.abort();
+      expect(scheduler.pendingHostCallback_.isIdleCallback()).to.equal(
+          typeof requestIdleCallback === 'function');
+      await task;
+    });
+
     // Tasks with undefined priority will use a TaskController with
     // initialPriority that changes the priority to priorityToChangeTo.
     const priorityTests = [
@@ -301,6 +355,30 @@ describe('Scheduler', function() {
       },
     ];
 
+    it('should reorder tasks when a TaskSignal.any() source priority changes',
+        async function() {
+          let result = '';
+          const scheduler = new Scheduler();
+          const abortController = new AbortController();
+          const priorityController =
+              new TaskController({priority: 'background'});
+          const signal = TaskSignal.any(
+              [abortController.signal], {priority: priorityController.signal});
+
+          const promises = [
+            scheduler.postTask(() => {
+              result += '1';
+            }, {priority: 'user-visible'}),
+            scheduler.postTask(() => {
+              result += '2';
+            }, {signal}),
+          ];
+
+          priorityController.setPriority('user-blocking');
+          await Promise.all(promises);
+          expect(result).to.equal('21');
+        });
+
     priorityTests.forEach((test) => {
       it(test.description, async function() {
         let result = '';
@@ -329,6 +407,223 @@ describe('Scheduler', function() {
     });
   });
 
+  describe('isolated', function() {
+    it('should run tasks without sharing a MessageChannel', async function() {
+      const scheduler = new Scheduler({isolated: true});
+      const otherScheduler = new Scheduler({isolated: true});
+      expect(scheduler.postMessageCallbackManager_).to.not.equal(null);
+      expect(scheduler.postMessageCallbackManager_).to.not.equal(
+          otherScheduler.postMessageCallbackManager_);
+
+      const tasks = [];
+      let result = '';
+      SCHEDULER_PRIORITIES.slice().reverse().forEach((priority) => {
+        tasks.push(scheduler.postTask(() => {
+          result += priority + ', ';
+        }, {priority}));
+      });
+      tasks.push(scheduler.postTask(() => {}, {delay: 5}));
+      await Promise.all(tasks);
+      expect(result).to.equal('user-blocking, user-visible, background, ');
+    });
+
+    it('should share a MessageChannel by default', function() {
+      const scheduler = new Scheduler();
+      expect(scheduler.postMessageCallbackManager_).to.equal(null);
+    });
+  });
+
+  describe('host callback strategies', function() {
+    /**
+     * Returns a host callback strategy that queues callbacks until they're run
+     * with `runAll()`.
+     * @return {!Object}
+     */
+    function createManualStrategy() {
+      const callbacks = new Map();
+      let nextHandle = 1;
+      return {
+        callbacks,
+        queueCallback: (callback, delay) => {
+          const handle = nextHandle++;
+          callbacks.set(handle, {callback, delay});
+          return handle;
+        },
+        cancelCallback: (handle) => callbacks.delete(handle),
+        runAll: () => {
+          Array.from(callbacks.keys()).forEach((handle) => {
+            const {callback} = callbacks.get(handle);
+            callbacks.delete(handle);
+            callback();
+          });
+        },
+      };
+    }
+
+    it('should use custom strategies', async function() {
+      const strategy = createManualStrategy();
+      const scheduler = new Scheduler({
+        hostCallbackStrategies: {'user-blocking': strategy},
+      });
+      let ran = false;
+      const task = scheduler.postTask(() => {
+        ran = true;
+      }, {priority: 'user-blocking'});
+      expect(strategy.callbacks.size).to.equal(1);
+
+      await new Promise((resolve) => setTimeout(resolve));
+      expect(ran).to.equal(false);
+
+      strategy.runAll();
+      expect(ran).to.equal(true);
+      await task;
+      expect(strategy.callbacks.size).to.equal(0);
+    });
+
+    it('should use default strategies for other priorities', function() {
+      const strategy = createManualStrategy();
+      const scheduler = new Scheduler({
+        hostCallbackStrategies: {'user-blocking': strategy},
+      });
+      return scheduler.postTask(() => {}, {priority: 'user-visible'});
+    });
+
+    it('should switch strategies when the next task\'s priority changes',
+        function() {
+          const backgroundStrategy = createManualStrategy();
+          const userVisibleStrategy = createManualStrategy();
+          const scheduler = new Scheduler({
+            hostCallbackStrategies: {
+              'background': backgroundStrategy,
+              'user-visible': userVisibleStrategy,
+            },
+          });
+          const controller = new TaskController();
+
+          scheduler.postTask(() => {}, {priority: 'background'});
+          expect(backgroundStrategy.callbacks.size).to.equal(1);
+
+          scheduler.postTask(() => {}, {signal: controller.signal})
+              .catch(() => {});
+          expect(backgroundStrategy.callbacks.size).to.equal(0);
+          expect(userVisibleStrategy.callbacks.size).to.equal(1);
+
+          controller.abort();
+          expect(backgroundStrategy.callbacks.size).to.equal(1);
+          expect(userVisibleStrategy.callbacks.size).to.equal(0);
+        });
+
+    it('should use the delay strategy for delayed tasks', async function() {
+      const strategy = createManualStrategy();
+      const scheduler = new Scheduler({
+        hostCallbackStrategies: {'delay': strategy},
+      });
+      const task = scheduler.postTask(() => 'result', {delay: 10});
+      expect(strategy.callbacks.size).to.equal(1);
+      expect(strategy.callbacks.values().next().value.delay).to.equal(10);
+
+      strategy.runAll();
+      expect(await task).to.equal('result');
+    });
+
+    it('should keep Node.js alive until background tasks have run',
+        async function() {
+          // This needs to run a separate Node.js process.
+          const {process} = window;
+          if (!process || !process.versions || !process.versions.node) return;
+          const {execFile} = await import('child_process');
+          const ponyfillUrl = new URL('../src/ponyfill.js', import.meta.url);
+          const script = `
+              import {Scheduler} from '${ponyfillUrl}';
+              await new Scheduler().postTask(() => console.log('ran'), {
+                priority: 'background',
+              });`;
+          const stdout = await new Promise((resolve, reject) => {
+            execFile(process.execPath, ['--input-type=module', '-e', script],
+                (error, stdout) => error ? reject(error) : resolve(stdout));
+          });
+          expect(stdout.trim()).to.equal('ran');
+        });
+
+    it('should throw an error if a strategy is not valid', function() {
+      [
+        {'unknown': createManualStrategy()},
+        {'background': null},
+        {'background': {queueCallback: () => {}}},
+      ].forEach((hostCallbackStrategies) => {
+        try {
+          new Scheduler({hostCallbackStrategies});
+          assert.ok(false);
+        } catch (e) {
+          expect(e.name).to.equal('TypeError');
+        }
+      });
+    });
+  });
+
+  describe('time slicing', function() {
+    it('should run a single task per host callback by default',
+        async function() {
+          const scheduler = new Scheduler();
+          let result = '';
+          await Promise.all([1, 2, 3].map((i) => scheduler.postTask(() => {
+            result += i;
+            // Microtasks run when the host callback finishes.
+            queueMicrotask(() => result += 'm');
+          })));
+          expect(result).to.equal('1m2m3m');
+        });
+
+    it('should run multiple tasks per host callback with timeSlice',
+        async function() {
+          const scheduler = new Scheduler({timeSlice: 1000});
+          let result = '';
+          await Promise.all([1, 2, 3].map((i) => scheduler.postTask(() => {
+            result += i;
+            queueMicrotask(() => result += 'm');
+          })));
+          expect(result).to.equal('123mmm');
+        });
+
+    it('should stop running tasks when the time slice is used up',
+        async function() {
+          const scheduler = new Scheduler({timeSlice: 1});
+          let result = '';
+          await Promise.all([1, 2].map((i) => scheduler.postTask(() => {
+            result += i;
+            queueMicrotask(() => result += 'm');
+            const start = performance.now();
+            while ((performance.now() - start) < 2)
+              ;
+          })));
+          expect(result).to.equal('1m2m');
+        });
+
+    it('should run tasks in priority order with timeSlice', async function() {
+      const scheduler = new Scheduler({timeSlice: 1000});
+      let result = '';
+      const tasks = [];
+      SCHEDULER_PRIORITIES.slice().reverse().forEach((priority) => {
+        tasks.push(scheduler.postTask(() => {
+          result += priority + ', ';
+        }, {priority}));
+      });
+      await Promise.all(tasks);
+      expect(result).to.equal('user-blocking, user-visible, background, ');
+    });
+
+    it('should throw an error if timeSlice is not valid', function() {
+      [-1, 'abc'].forEach((timeSlice) => {
+        try {
+          new Scheduler({timeSlice});
+          assert.ok(false);
+        } catch (e) {
+          expect(e.name).to.equal('TypeError');
+        }
+      });
+    });
+  });
+
   it('should convert strings to numbers for postTask delay.', async function() {
     const scheduler = new Scheduler();
     const result = await scheduler.postTask(() => 'result', {delay: '1'});
@@ -399,6 +694,1299 @@ describe('Scheduler', function() {
     }
   });
 
+  describe('render-blocking priority', function() {
+    it('should reject render-blocking tasks unless enabled', async function() {
+      const scheduler = new Scheduler();
+      let error;
+      try {
+        await scheduler.postTask(() => {}, {priority: 'render-blocking'});
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an.instanceOf(TypeError);
+
+      const controller =
+          new ExtendedTaskController({priority: 'render-blocking'});
+      error = null;
+      try {
+        await scheduler.postTask(() => {}, {signal: controller.signal});
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an.instanceOf(TypeError);
+    });
+
+    it('should run render-blocking tasks first', async function() {
+      const scheduler = new Scheduler({renderBlocking: true});
+      let result = '';
+      const tasks = [];
+      ['background', 'user-visible', 'user-blocking', 'render-blocking']
+          .forEach((priority) => {
+            tasks.push(scheduler.postTask(() => {
+              result += priority[0];
+            }, {priority}));
+          });
+      await Promise.all(tasks);
+      expect(result).to.equal('ruub');
+    });
+
+    it('should run render-blocking tasks before frames', async function() {
+      const frameCallbacks = [];
+      const scheduler = new Scheduler({
+        renderBlocking: true,
+        hostCallbackStrategies: {
+          'render-blocking': {
+            queueCallback: (callback) => frameCallbacks.push(callback),
+            cancelCallback: () => {},
+          },
+        },
+      });
+      let result = '';
+      const task = scheduler.postTask(() => {
+        result += 'frame';
+      }, {priority: 'render-blocking'});
+      await new Promise((resolve) => setTimeout(resolve));
+      expect(result).to.equal('');
+      expect(frameCallbacks.length).to.equal(1);
+      frameCallbacks[0]();
+      await task;
+      expect(result).to.equal('frame');
+    });
+
+    it('should support abort and priority changes', async function() {
+      const scheduler = new Scheduler({renderBlocking: true});
+      let result = '';
+      const abortController =
+          new ExtendedTaskController({priority: 'render-blocking'});
+      const priorityController =
+          new ExtendedTaskController({priority: 'background'});
+      const tasks = [
+        scheduler.postTask(() => {
+          result += 'u';
+        }, {priority: 'user-blocking'}),
+        scheduler.postTask(() => {
+          result += 'a';
+        }, {signal: abortController.signal}).catch(() => {}),
+        scheduler.postTask(() => {
+          result += 'r';
+        }, {signal: priorityController.signal}),
+      ];
+      abortController.abort();
+      priorityController.setPriority('render-blocking');
+      await Promise.all(tasks);
+      expect(result).to.equal('ru');
+    });
+
+    it('should run tasks changed to render-blocking at user-blocking ' +
+        'priority unless enabled', async function() {
+      const scheduler = new Scheduler();
+      let result = '';
+      const controller = new ExtendedTaskController({priority: 'background'});
+      const tasks = [
+        scheduler.postTask(() => {
+          result += 'v';
+        }),
+        scheduler.postTask(() => {
+          result += 'r';
+        }, {signal: controller.signal}),
+        scheduler.postTask(() => {
+          result += 'u';
+        }, {priority: 'user-blocking'}),
+      ];
+      controller.setPriority('render-blocking');
+      await Promise.all(tasks);
+      expect(result).to.equal('ruv');
+    });
+  });
+
+  /**
+   * Posts a background task for each of `labels`, and a chain of user-visible
+   * tasks which each advance the fake clock by 30ms, and returns a promise for
+   * the order in which tasks ran.
+   * @param {!Scheduler} scheduler
+   * @param {!Array<string>} labels
+   * @param {!Object<string, !Object>=} options Additional postTask() options
+   *     for the background tasks, by label.
+   * @return {!Promise<string>}
+   */
+  async function runBackgroundAndBusyTasks(scheduler, labels, options = {}) {
+    let result = '';
+    const tasks = labels.map((label) => {
+      return scheduler.postTask(() => {
+        result += label;
+      }, Object.assign({priority: 'background'}, options[label]));
+    });
+    const postBusyTask = (i) => scheduler.postTask(() => {
+      clock += 30;
+      result += i;
+      if (i < 6) tasks.push(postBusyTask(i + 1));
+    });
+    tasks.push(postBusyTask(1));
+    // The chain keeps adding to `tasks`, so wait until it's done.
+    while (tasks.length < labels.length + 6) {
+      await Promise.all(tasks);
+    }
+    await Promise.all(tasks);
+    return result;
+  }
+
+  describe('aging', function() {
+    beforeEach(function() {
+      clock = 0;
+    });
+
+    it('should run tasks in strict priority order by default',
+        async function() {
+          const scheduler = new FakeClockScheduler();
+          expect(await runBackgroundAndBusyTasks(scheduler, ['a', 'b']))
+              .to.equal('123456ab');
+        });
+
+    it('should run overdue tasks first, in order', async function() {
+      const scheduler = new FakeClockScheduler({agingThreshold: 100});
+      // The background tasks become overdue when the fourth task ends.
+      expect(await runBackgroundAndBusyTasks(scheduler, ['a', 'b']))
+          .to.equal('1234ab56');
+    });
+
+    it('should run overdue background tasks without idle time',
+        async function() {
+          const scheduler = new FakeClockScheduler({
+            agingThreshold: 5,
+            hostCallbackStrategies: {
+              // Never idle.
+              background: {queueCallback: () => {}, cancelCallback: () => {}},
+            },
+          });
+          const task = scheduler.postTask(() => 'done',
+              {priority: 'background'});
+          clock = 5;
+          expect(await task).to.equal('done');
+        });
+
+    it('should throw an error if agingThreshold is not valid', function() {
+      [-1, 'abc'].forEach((agingThreshold) => {
+        expect(() => new Scheduler({agingThreshold})).to.throw(TypeError);
+      });
+    });
+  });
+
+  describe('timeout', function() {
+    beforeEach(function() {
+      clock = 0;
+    });
+
+    it('should tell tasks that didn\'t time out', async function() {
+      const scheduler = new Scheduler();
+      const didTimeout = () => scheduler.currentTask.didTimeout;
+      expect(await scheduler.postTask(didTimeout,
+          {priority: 'background', timeout: 1000})).to.equal(false);
+      expect(await scheduler.postTask(didTimeout)).to.equal(false);
+    });
+
+    it('should run timed out tasks without idle time', async function() {
+      const scheduler = new FakeClockScheduler({
+        hostCallbackStrategies: {
+          // Never idle.
+          background: {queueCallback: () => {}, cancelCallback: () => {}},
+        },
+      });
+      const task = scheduler.postTask(() => scheduler.currentTask.didTimeout,
+          {priority: 'background', timeout: 5});
+      clock = 5;
+      expect(await task).to.equal(true);
+    });
+
+    it('should run timed out tasks first, in order', async function() {
+      const scheduler = new FakeClockScheduler();
+      // 'b' times out when the second task ends, and 'a' is queued before it.
+      expect(await runBackgroundAndBusyTasks(scheduler, ['a', 'b', 'c'],
+          {b: {timeout: 50}})).to.equal('12ab3456c');
+    });
+
+    it('should not time out aborted tasks', async function() {
+      const scheduler = new FakeClockScheduler();
+      const controller = new TaskController();
+      scheduler.postTask(() => {}, {
+        priority: 'background',
+        timeout: 20,
+        signal: controller.signal,
+      }).catch(() => {});
+      controller.abort();
+      // Only 'b' times out, when the second task ends.
+      expect(await runBackgroundAndBusyTasks(scheduler, ['a', 'b'],
+          {b: {timeout: 50}})).to.equal('12ab3456');
+    });
+
+    it('should not time out with a timeout of 0', async function() {
+      const scheduler = new FakeClockScheduler();
+      expect(await runBackgroundAndBusyTasks(scheduler, ['a'],
+          {a: {timeout: 0}})).to.equal('123456a');
+    });
+
+    it('should pass the timeout to requestIdleCallback', async function() {
+      const originalRequestIdleCallback = window.requestIdleCallback;
+      const originalCancelIdleCallback = window.cancelIdleCallback;
+      const timeouts = [];
+      window.requestIdleCallback = (callback, options) => {
+        timeouts.push(options ? options.timeout : undefined);
+        return setTimeout(() => callback({
+          didTimeout: false,
+          timeRemaining: () => 0,
+        }));
+      };
+      window.cancelIdleCallback = (handle) => clearTimeout(handle);
+      try {
+        const scheduler = new FakeClockScheduler();
+        await scheduler.postTask(() => {}, {priority: 'background'});
+        await scheduler.postTask(() => {},
+            {priority: 'background', timeout: 100});
+        expect(timeouts).to.deep.equal([undefined, 100]);
+      } finally {
+        window.requestIdleCallback = originalRequestIdleCallback;
+        window.cancelIdleCallback = originalCancelIdleCallback;
+      }
+    });
+
+    it('should reject invalid timeouts', async function() {
+      const scheduler = new Scheduler();
+      for (const timeout of [-1, 'abc']) {
+        let error;
+        try {
+          await scheduler.postTask(() => {}, {timeout});
+        } catch (e) {
+          error = e;
+        }
+        expect(error).to.be.an.instanceOf(TypeError);
+      }
+    });
+  });
+
+  describe('timeRemaining', function() {
+    beforeEach(function() {
+      clock = 0;
+    });
+
+    it('should return the remaining idle time', async function() {
+      const originalRequestIdleCallback = window.requestIdleCallback;
+      const originalCancelIdleCallback = window.cancelIdleCallback;
+      window.requestIdleCallback = (callback) => {
+        return setTimeout(() => callback({
+          didTimeout: false,
+          timeRemaining: () => 42,
+        }));
+      };
+      window.cancelIdleCallback = (handle) => clearTimeout(handle);
+      try {
+        const scheduler = new Scheduler();
+        const timeRemaining = await scheduler.postTask(() => {
+          return scheduler.currentTask.timeRemaining();
+        }, {priority: 'background'});
+        expect(timeRemaining).to.equal(42);
+      } finally {
+        window.requestIdleCallback = originalRequestIdleCallback;
+        window.cancelIdleCallback = originalCancelIdleCallback;
+      }
+    });
+
+    it('should return the time left in the time slice', async function() {
+      const scheduler = new FakeClockScheduler({timeSlice: 10});
+      const results = await Promise.all([0, 1, 2, 3].map(() => {
+        return scheduler.postTask(() => {
+          const timeRemaining = scheduler.currentTask.timeRemaining();
+          clock += 4;
+          return timeRemaining;
+        });
+      }));
+      // The fourth task runs in a new time slice.
+      expect(results).to.deep.equal([10, 6, 2, 10]);
+    });
+
+    it('should return 0 without time slicing', async function() {
+      const scheduler = new FakeClockScheduler();
+      expect(await scheduler.postTask(() => {
+        return scheduler.currentTask.timeRemaining();
+      })).to.equal(0);
+    });
+
+    it('should not be passed to callbacks', async function() {
+      const scheduler = new Scheduler();
+      expect(await scheduler.postTask((...args) => args.length)).to.equal(0);
+    });
+  });
+
+  describe('postPeriodicTask()', function() {
+    let scheduler;
+
+    beforeEach(function() {
+      scheduler = new TestScheduler();
+    });
+
+    /**
+     * Returns a periodic task callback that records when it runs and when it
+     * was due in `runs`, and that takes `durations[i]` milliseconds of virtual
+     * time for the i-th run, if given.
+     * @param {!Array<string>} runs
+     * @param {!Array<number>=} durations
+     * @return {function({scheduledTime: number}): !Promise<undefined>}
+     */
+    function recordRuns(runs, durations = []) {
+      return async ({scheduledTime}) => {
+        const duration = durations[runs.length];
+        runs.push(`${scheduler.now()}/${scheduledTime}`);
+        if (duration) await scheduler.postTask(() => {}, {delay: duration});
+      };
+    }
+
+    it('should run tasks at the interval', async function() {
+      const runs = [];
+      postPeriodicTask(scheduler, recordRuns(runs, [3, 3, 3]), {interval: 10});
+      await scheduler.advanceBy(35);
+      expect(runs).to.deep.equal(['10/10', '20/20', '30/30']);
+    });
+
+    it('should run the first task after the delay', async function() {
+      const runs = [];
+      postPeriodicTask(scheduler, recordRuns(runs), {interval: 10, delay: 0});
+      await scheduler.advanceBy(25);
+      expect(runs).to.deep.equal(['0/0', '10/10', '20/20']);
+    });
+
+    it('should skip missed runs by default', async function() {
+      const runs = [];
+      postPeriodicTask(scheduler, recordRuns(runs, [25]), {interval: 10});
+      await scheduler.advanceBy(50);
+      expect(runs).to.deep.equal(['10/10', '40/40', '50/50']);
+    });
+
+    it('should catch up on missed runs', async function() {
+      const runs = [];
+      postPeriodicTask(scheduler, recordRuns(runs, [25]), {
+        interval: 10,
+        missedRuns: 'catch-up',
+      });
+      await scheduler.advanceBy(40);
+      expect(runs).to.deep.equal(['10/10', '35/20', '35/30', '40/40']);
+    });
+
+    it('should stop when the signal is aborted', async function() {
+      const runs = [];
+      const controller = new TaskController();
+      const result = postPeriodicTask(scheduler, recordRuns(runs), {
+        interval: 10,
+        signal: controller.signal,
+      }).catch((e) => e);
+      await scheduler.advanceBy(25);
+      controller.abort('reason');
+      await scheduler.runAll();
+      expect(await result).to.equal('reason');
+      expect(runs).to.deep.equal(['10/10', '20/20']);
+    });
+
+    it('should follow the signal\'s priority', async function() {
+      const priorities = [];
+      const controller = new TaskController({priority: 'background'});
+      postPeriodicTask(scheduler, () => {
+        priorities.push(scheduler.currentTask.priority);
+        controller.setPriority('user-blocking');
+      }, {interval: 10, signal: controller.signal});
+      await scheduler.advanceBy(20);
+      expect(priorities).to.deep.equal(['background', 'user-blocking']);
+    });
+
+    it('should stop when the callback throws', async function() {
+      const error = new Error('error');
+      let runCount = 0;
+      const result = postPeriodicTask(scheduler, () => {
+        if (++runCount === 2) throw error;
+      }, {interval: 10}).catch((e) => e);
+      await scheduler.advanceBy(50);
+      expect(await result).to.equal(error);
+      expect(runCount).to.equal(2);
+    });
+
+    it('should reject for invalid options', async function() {
+      for (const options of [
+        {}, {interval: 0}, {interval: -1}, {interval: Infinity},
+        {interval: 'abc'}, {interval: 10, missedRuns: 'all'},
+        {interval: 10, delay: -1}, {interval: 10, priority: 'high'},
+      ]) {
+        const error =
+            await postPeriodicTask(scheduler, () => {}, options)
+                .catch((e) => e);
+        expect(error).to.be.an.instanceOf(TypeError);
+      }
+      const error = await postPeriodicTask({postTask: () => {}}, () => {}, {
+        interval: 10,
+      }).catch((e) => e);
+      expect(error).to.be.an.instanceOf(TypeError);
+    });
+
+    it('should support Schedulers from other bundles', async function() {
+      const calls = [];
+      const scheduler = {
+        [Symbol.for('scheduler-polyfill.functions')]: {
+          postPeriodicTask: (...args) => {
+            calls.push(args);
+            return Promise.resolve();
+          },
+        },
+      };
+      const callback = () => {};
+      const options = {interval: 10};
+      await postPeriodicTask(scheduler, callback, options);
+      expect(calls).to.deep.equal([[scheduler, callback, options]]);
+    });
+  });
+
+  describe('key', function() {
+    it('should replace the callback of pending tasks', async function() {
+      const scheduler = new Scheduler();
+      let result = '';
+      const promises = ['a', 'b', 'c'].map((label) => {
+        return scheduler.postTask(() => {
+          result += label;
+          return label;
+        }, {key: 'layout'});
+      });
+      expect(await Promise.all(promises)).to.deep.equal(['c', 'c', 'c']);
+      expect(result).to.equal('c');
+    });
+
+    it('should merge into pending tasks', async function() {
+      const scheduler = new Scheduler();
+      let result = '';
+      const promises = ['a', 'b', 'c'].map((label) => {
+        return scheduler.postTask(() => {
+          result += label;
+          return label;
+        }, {key: 'layout', coalesce: 'merge'});
+      });
+      expect(await Promise.all(promises)).to.deep.equal(['a', 'a', 'a']);
+      expect(result).to.equal('a');
+    });
+
+    it('should keep the pending task\'s options', async function() {
+      const scheduler = new Scheduler();
+      let result = '';
+      scheduler.postTask(() => {
+        result += 'a';
+      }, {key: 'key', priority: 'background'});
+      scheduler.postTask(() => {
+        result += 'b';
+      }, {key: 'key', priority: 'user-blocking'});
+      await scheduler.postTask(() => {
+        result += 'c';
+      });
+      await scheduler.postTask(() => {}, {priority: 'background'});
+      expect(result).to.equal('cb');
+    });
+
+    it('should not coalesce with running tasks', async function() {
+      const scheduler = new Scheduler();
+      let result = '';
+      const nested = await scheduler.postTask(() => {
+        result += 'a';
+        return scheduler.postTask(() => {
+          result += 'b';
+        }, {key: 'key'});
+      }, {key: 'key'});
+      await nested;
+      expect(result).to.equal('ab');
+    });
+
+    it('should keep keys separate', async function() {
+      const scheduler = new Scheduler();
+      let result = '';
+      await Promise.all(['a', 'b'].map((key) => {
+        return scheduler.postTask(() => {
+          result += key;
+        }, {key});
+      }));
+      expect(result).to.equal('ab');
+    });
+
+    it('should share errors', async function() {
+      const scheduler = new Scheduler();
+      const error = new Error('error');
+      const promises = [0, 1].map(() => {
+        return scheduler.postTask(() => {
+          throw error;
+        }, {key: 'key'}).catch((e) => e);
+      });
+      expect(await Promise.all(promises)).to.deep.equal([error, error]);
+    });
+
+    it('should handle aborts', async function() {
+      const scheduler = new Scheduler();
+      const firstController = new TaskController();
+      const secondController = new TaskController();
+      let result = '';
+      const first = scheduler.postTask(() => {
+        result += 'a';
+      }, {key: 'key', signal: firstController.signal}).catch((e) => e);
+      const second = scheduler.postTask(() => {
+        result += 'b';
+      }, {key: 'key', signal: secondController.signal}).catch((e) => e);
+      const third = scheduler.postTask(() => {
+        result += 'c';
+      }, {key: 'key'}).catch((e) => e);
+
+      // Aborting a coalesced post only rejects its own promise.
+      secondController.abort('second');
+      expect(await second).to.equal('second');
+      // Aborting the post that owns the pending task only rejects its promise
+      // while other posts still wait for the task.
+      firstController.abort('first');
+      expect(await first).to.equal('first');
+      expect(await third).to.equal(undefined);
+      expect(result).to.equal('c');
+    });
+
+    it('should keep the priority of tasks whose owner was aborted',
+        async function() {
+          const scheduler = new Scheduler();
+          const controller = new TaskController({priority: 'background'});
+          let result = '';
+          const first = scheduler.postTask(() => {
+            result += 'a';
+          }, {key: 'key', signal: controller.signal}).catch((e) => e);
+          const second = scheduler.postTask(() => {
+            result += 'b';
+          }, {key: 'key'});
+          controller.abort('first');
+          controller.setPriority('user-blocking');
+          expect(await first).to.equal('first');
+          scheduler.postTask(() => {
+            result += 'c';
+          }, {priority: 'user-visible'});
+          await second;
+          expect(result).to.equal('cb');
+        });
+
+    it('should abort the pending task once no post waits for it',
+        async function() {
+          const scheduler = new Scheduler();
+          const firstController = new TaskController();
+          const secondController = new TaskController();
+          let result = '';
+          const first = scheduler.postTask(() => {
+            result += 'a';
+          }, {key: 'key', signal: firstController.signal}).catch((e) => e);
+          const second = scheduler.postTask(() => {
+            result += 'b';
+          }, {key: 'key', signal: secondController.signal}).catch((e) => e);
+          firstController.abort('first');
+          secondController.abort('second');
+          expect(await first).to.equal('first');
+          expect(await second).to.equal('second');
+
+          // The key is free again.
+          await scheduler.postTask(() => {
+            result += 'c';
+          }, {key: 'key'});
+          expect(result).to.equal('c');
+        });
+
+    it('should reject invalid coalesce modes', async function() {
+      const scheduler = new Scheduler();
+      const error = await scheduler.postTask(() => {}, {
+        key: 'key',
+        coalesce: 'append',
+      }).catch((e) => e);
+      expect(error).to.be.an.instanceOf(TypeError);
+    });
+  });
+
+  describe('shouldYield()', function() {
+    it('should be false before any task runs', function() {
+      expect(shouldYield(new Scheduler())).to.equal(false);
+    });
+
+    it('should be true once the task has run for a while', async function() {
+      clock = 0;
+      const scheduler = new FakeClockScheduler();
+      const results = await scheduler.postTask(async () => {
+        const results = [shouldYield(scheduler)];
+        clock = 4;
+        results.push(shouldYield(scheduler));
+        clock = 5;
+        results.push(shouldYield(scheduler));
+        await scheduler.yield();
+        clock = 9;
+        results.push(shouldYield(scheduler));
+        return results;
+      });
+      expect(results).to.deep.equal([false, false, true, false]);
+    });
+
+    it('should be true once code following yield() has run for a while',
+        async function() {
+          clock = 0;
+          const scheduler = new FakeClockScheduler();
+          const results = await scheduler.postTask(async () => {
+            await scheduler.yield();
+            const results = [shouldYield(scheduler)];
+            clock = 5;
+            results.push(shouldYield(scheduler));
+            return results;
+          });
+          expect(results).to.deep.equal([false, true]);
+        });
+
+    it('should be false once the scheduler is idle', async function() {
+      clock = 0;
+      const scheduler = new FakeClockScheduler();
+      await scheduler.postTask(() => {
+        clock = 5;
+      });
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      expect(shouldYield(scheduler)).to.equal(false);
+    });
+
+    it('should throw for a non-polyfill scheduler', function() {
+      expect(() => shouldYield({postTask: () => {}}))
+          .to.throw(TypeError);
+    });
+
+    it('should support Schedulers from other bundles', function() {
+      // Other bundles, like the testing one, have their own copy of Scheduler,
+      // and implement shouldYield() for its instances.
+      const scheduler = {
+        [Symbol.for('scheduler-polyfill.functions')]: {
+          shouldYield: (s) => s === scheduler,
+        },
+      };
+      expect(shouldYield(scheduler)).to.equal(true);
+    });
+
+    it('should use the time slice', async function() {
+      clock = 0;
+      const scheduler = new FakeClockScheduler({timeSlice: 20});
+      const results = [];
+      for (let i = 0; i < 2; ++i) {
+        scheduler.postTask(() => {
+          results.push(shouldYield(scheduler));
+          clock += 10;
+          results.push(shouldYield(scheduler));
+        });
+      }
+      await scheduler.postTask(() => {}, {priority: 'background'});
+      expect(results).to.deep.equal([false, false, false, true]);
+    });
+
+    it('should be true if a higher priority task is waiting', async function() {
+      clock = 0;
+      const scheduler = new FakeClockScheduler();
+      const results = await scheduler.postTask(() => {
+        const results = [];
+        scheduler.postTask(() => {}, {priority: 'background'});
+        scheduler.postTask(() => {});
+        results.push(shouldYield(scheduler));
+        scheduler.postTask(() => {}, {priority: 'user-blocking'});
+        results.push(shouldYield(scheduler));
+        return results;
+      });
+      expect(results).to.deep.equal([false, true]);
+    });
+
+    it('should be true if a task is overdue', async function() {
+      clock = 0;
+      const scheduler =
+          new FakeClockScheduler({timeSlice: 100, agingThreshold: 10});
+      const results = await scheduler.postTask(() => {
+        scheduler.postTask(() => {}, {priority: 'background'});
+        const results = [shouldYield(scheduler)];
+        clock = 10;
+        results.push(shouldYield(scheduler));
+        return results;
+      });
+      expect(results).to.deep.equal([false, true]);
+    });
+
+    it('should be true if input is pending', async function() {
+      clock = 0;
+      const scheduler = new FakeClockScheduler();
+      const originalNavigator =
+          Object.getOwnPropertyDescriptor(self, 'navigator');
+      let inputPending = false;
+      Object.defineProperty(self, 'navigator', {
+        value: {scheduling: {isInputPending: () => inputPending}},
+        configurable: true,
+      });
+      try {
+        const results = await scheduler.postTask(() => {
+          const results = [shouldYield(scheduler)];
+          inputPending = true;
+          results.push(shouldYield(scheduler));
+          return results;
+        });
+        expect(results).to.deep.equal([false, true]);
+      } finally {
+        if (originalNavigator) {
+          Object.defineProperty(self, 'navigator', originalNavigator);
+        } else {
+          delete self.navigator;
+        }
+      }
+    });
+  });
+
+  describe('#currentTask', function() {
+    it('should be null outside of tasks', async function() {
+      const scheduler = new Scheduler();
+      expect(scheduler.currentTask).to.equal(null);
+      await scheduler.postTask(async () => {
+        await Promise.resolve();
+        expect(scheduler.currentTask).to.equal(null);
+      });
+      expect(scheduler.currentTask).to.equal(null);
+    });
+
+    it('should describe the running task', async function() {
+      clock = 5;
+      const scheduler = new FakeClockScheduler();
+      const controller = new TaskController({priority: 'background'});
+      const currentTask = await scheduler.postTask(() => {
+        controller.setPriority('user-blocking');
+        return scheduler.currentTask;
+      }, {signal: controller.signal, name: 'task'});
+      const {timeRemaining, ...rest} = currentTask;
+      expect(rest).to.deep.equal({
+        priority: 'user-blocking',
+        signal: controller.signal,
+        isContinuation: false,
+        startTime: 5,
+        name: 'task',
+        didTimeout: false,
+      });
+      expect(timeRemaining()).to.equal(0);
+      expect(Object.isFrozen(currentTask)).to.equal(true);
+    });
+
+    it('should not be settable', function() {
+      const scheduler = new Scheduler();
+      expect(() => {
+        scheduler.currentTask = {};
+      }).to.throw(TypeError);
+    });
+  });
+
+  describe('inheritTaskContext', function() {
+    it('should not inherit by default', async function() {
+      const scheduler = new Scheduler();
+      const controller = new TaskController({priority: 'background'});
+      const nested = await scheduler.postTask(() => {
+        return scheduler.postTask(() => scheduler.currentTask);
+      }, {signal: controller.signal});
+      expect(nested.priority).to.equal('user-visible');
+      expect(nested.signal).to.equal(null);
+    });
+
+    it('should inherit the priority and signal', async function() {
+      const scheduler = new Scheduler({inheritTaskContext: true});
+      const controller = new TaskController({priority: 'background'});
+      const nested = await scheduler.postTask(() => {
+        return scheduler.postTask(() => scheduler.currentTask);
+      }, {signal: controller.signal});
+      expect(nested.priority).to.equal('background');
+      expect(nested.signal).to.equal(controller.signal);
+
+      const nestedWithPriority = await scheduler.postTask(() => {
+        return scheduler.postTask(() => scheduler.currentTask);
+      }, {priority: 'user-blocking'});
+      expect(nestedWithPriority.priority).to.equal('user-blocking');
+      expect(nestedWithPriority.signal).to.equal(null);
+    });
+
+    it('should abort nested tasks with the inherited signal', async function() {
+      const scheduler = new Scheduler({inheritTaskContext: true});
+      const controller = new TaskController();
+      let nested;
+      await scheduler.postTask(() => {
+        nested = scheduler.postTask(() => {});
+      }, {signal: controller.signal});
+      controller.abort();
+      let error;
+      try {
+        await nested;
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.equal(controller.signal.reason);
+    });
+
+    it('should use explicit options', async function() {
+      const scheduler = new Scheduler({inheritTaskContext: true});
+      const parentController = new TaskController({priority: 'background'});
+      const taskController = new TaskController({priority: 'user-blocking'});
+      const abortController = new AbortController();
+      const results = await scheduler.postTask(() => {
+        return Promise.all([
+          scheduler.postTask(() => scheduler.currentTask,
+              {priority: 'user-visible'}),
+          scheduler.postTask(() => scheduler.currentTask,
+              {signal: taskController.signal}),
+          scheduler.postTask(() => scheduler.currentTask,
+              {signal: abortController.signal}),
+        ]);
+      }, {signal: parentController.signal});
+      const contexts = results.map((task) => [task.priority, task.signal]);
+      expect(contexts).to.deep.equal([
+        ['user-visible', parentController.signal],
+        ['user-blocking', taskController.signal],
+        ['background', abortController.signal],
+      ]);
+    });
+  });
+
+  describe('async tasks', function() {
+    /**
+     * Returns a promise along with the functions to settle it.
+     * @return {{promise: !Promise<*>, resolve: function(*),
+     *           reject: function(*)}}
+     */
+    function createDeferred() {
+      const deferred = {};
+      deferred.promise = new Promise((resolve, reject) => {
+        deferred.resolve = resolve;
+        deferred.reject = reject;
+      });
+      return deferred;
+    }
+
+    /**
+     * Waits for pending tasks and microtasks of `scheduler` to run.
+     * @param {!Scheduler} scheduler
+     * @return {!Promise<undefined>}
+     */
+    function flush(scheduler) {
+      return scheduler.postTask(() => {}, {priority: 'background'});
+    }
+
+    it('should not track async tasks by default', async function() {
+      const scheduler = new Scheduler({asyncConcurrency: undefined});
+      const deferred = createDeferred();
+      const result = scheduler.postTask(() => deferred.promise);
+      await flush(scheduler);
+      expect(scheduler.asyncTasksInFlight).to.equal(0);
+      deferred.resolve('a');
+      expect(await result).to.equal('a');
+    });
+
+    it('should track async tasks until they settle', async function() {
+      const scheduler = new Scheduler({trackAsyncTasks: true});
+      const deferreds = [createDeferred(), createDeferred()];
+      const results = deferreds.map((deferred) => {
+        return scheduler.postTask(() => deferred.promise).catch((e) => e);
+      });
+      scheduler.postTask(() => 'sync');
+      await flush(scheduler);
+      expect(scheduler.asyncTasksInFlight).to.equal(2);
+
+      deferreds[0].resolve('a');
+      expect(await results[0]).to.equal('a');
+      expect(scheduler.asyncTasksInFlight).to.equal(1);
+      deferreds[1].reject('b');
+      expect(await results[1]).to.equal('b');
+      expect(scheduler.asyncTasksInFlight).to.equal(0);
+    });
+
+    it('should limit the number of async tasks', async function() {
+      const scheduler = new Scheduler({asyncConcurrency: 1});
+      const deferreds = [createDeferred(), createDeferred()];
+      let result = '';
+      deferreds.forEach((deferred, i) => {
+        scheduler.postTask(() => {
+          result += i;
+          return deferred.promise;
+        });
+      });
+      await flush(scheduler);
+      expect(result).to.equal('0');
+
+      deferreds[0].resolve();
+      await flush(scheduler);
+      expect(result).to.equal('01');
+      deferreds[1].resolve();
+    });
+
+    it('should limit async tasks per priority', async function() {
+      const scheduler = new Scheduler({asyncConcurrency: {'background': 1}});
+      const started = createDeferred();
+      const deferred = createDeferred();
+      let result = '';
+      const tasks = [0, 1].map(() => {
+        return scheduler.postTask(() => {
+          result += 'b';
+          started.resolve();
+          return deferred.promise;
+        }, {priority: 'background'});
+      });
+      await started.promise;
+      await Promise.all([0, 1].map(() => {
+        return scheduler.postTask(async () => {
+          result += 'u';
+        });
+      }));
+      expect(result).to.equal('buu');
+      deferred.resolve();
+      await Promise.all(tasks);
+      expect(result).to.equal('buub');
+    });
+
+    it('should run continuations at the limit', async function() {
+      const scheduler = new Scheduler({asyncConcurrency: 1});
+      let result = '';
+      const task = scheduler.postTask(async () => {
+        result += 'a';
+        await scheduler.yield();
+        result += 'b';
+      });
+      scheduler.postTask(() => {
+        result += 'c';
+      });
+      await task;
+      await flush(scheduler);
+      expect(result).to.equal('abc');
+    });
+
+    it('should reject when aborted in flight', async function() {
+      const scheduler = new Scheduler({asyncConcurrency: 1});
+      const controller = new TaskController();
+      const deferred = createDeferred();
+      const aborted = scheduler.postTask(() => deferred.promise, {
+        signal: controller.signal,
+      }).catch((e) => e);
+      const next = scheduler.postTask(() => 'next');
+      await flush(scheduler);
+      expect(scheduler.asyncTasksInFlight).to.equal(1);
+
+      controller.abort('reason');
+      expect(await aborted).to.equal('reason');
+      expect(scheduler.asyncTasksInFlight).to.equal(0);
+      expect(await next).to.equal('next');
+      deferred.resolve('late');
+    });
+
+    it('should throw for invalid limits', function() {
+      [0, -1, 1.5, 'abc', {'user-visible': 0}, {'high': 1},
+        {'render-blocking': 1}].forEach((asyncConcurrency) => {
+        expect(() => new Scheduler({asyncConcurrency})).to.throw(TypeError);
+      });
+      new Scheduler({asyncConcurrency: Infinity});
+      new Scheduler({renderBlocking: true, asyncConcurrency: {
+        'render-blocking': 1,
+      }});
+    });
+  });
+
+  describe('task errors', function() {
+    let reportError;
+    let reportedErrors;
+
+    beforeEach(function() {
+      reportError = self.reportError;
+      reportedErrors = [];
+      self.reportError = (e) => reportedErrors.push(e);
+    });
+
+    afterEach(function() {
+      self.reportError = reportError;
+    });
+
+    /**
+     * Posts a task named `name` whose callback throws `error`.
+     * @param {!Scheduler} scheduler
+     * @param {*} error
+     * @param {string} name
+     * @return {!Promise<*>} Resolves with the error.
+     */
+    function postFailingTask(scheduler, error, name) {
+      return scheduler.postTask(() => {
+        throw error;
+      }, {priority: 'background', name}).catch((e) => e);
+    }
+
+    it('should pass errors to onerror', async function() {
+      const scheduler = new Scheduler();
+      const records = [];
+      scheduler.onerror = (record) => records.push(record);
+      const error = new Error('error');
+      const result = await postFailingTask(scheduler, error, 'failing');
+      expect(result).to.equal(error);
+      expect(records.length).to.equal(1);
+      const [record] = records;
+      expect(record.error).to.equal(error);
+      expect(record.priority).to.equal('background');
+      expect(record.name).to.equal('failing');
+      expect(record.id).to.be.a('number');
+      expect(record.postStack).to.contain('postFailingTask');
+      expect(Object.isFrozen(record)).to.equal(true);
+      expect(reportedErrors).to.deep.equal([]);
+    });
+
+    it('should pass async errors to onerror', async function() {
+      const records = [];
+      const error = new Error('error');
+      for (const options of [{}, {trackAsyncTasks: true}]) {
+        const scheduler = new Scheduler(options);
+        scheduler.onerror = (record) => records.push(record.error);
+        await scheduler.postTask(async () => {
+          throw error;
+        }).catch(() => {});
+        await scheduler.postTask(() => {});
+      }
+      expect(records).to.deep.equal([error, error]);
+    });
+
+    it('should only pass errors while onerror is set', async function() {
+      const scheduler = new Scheduler();
+      await postFailingTask(scheduler, 'error');
+      const records = [];
+      scheduler.onerror = (record) => records.push(record);
+      await postFailingTask(scheduler, 'error');
+      expect(records.length).to.equal(1);
+      expect(records[0].postStack).to.be.a('string');
+    });
+
+    it('should not pass aborts to onerror', async function() {
+      const scheduler = new Scheduler();
+      const records = [];
+      scheduler.onerror = (record) => records.push(record);
+      const controller = new TaskController();
+      const task = scheduler.postTask(() => {}, {signal: controller.signal});
+      controller.abort();
+      await task.catch(() => {});
+      expect(records).to.deep.equal([]);
+    });
+
+    it('should report errors if enabled', async function() {
+      const scheduler = new Scheduler({reportTaskErrors: true});
+      await postFailingTask(scheduler, 'error');
+      expect(reportedErrors).to.deep.equal(['error']);
+    });
+
+    it('should not also report unhandled rejections', async function() {
+      const unhandledRejections = [];
+      const listener = (e) => {
+        e.preventDefault();
+        unhandledRejections.push(e.reason);
+      };
+      const syncError = new Error('sync');
+      const asyncError = new Error('async');
+      self.addEventListener('unhandledrejection', listener);
+      try {
+        for (const options of [{}, {trackAsyncTasks: true}]) {
+          const scheduler = new Scheduler(
+              Object.assign({reportTaskErrors: true}, options));
+          scheduler.postTask(() => {
+            throw syncError;
+          });
+          scheduler.postTask(async () => {
+            throw asyncError;
+          });
+          await scheduler.postTask(() => {}, {priority: 'background'});
+        }
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      } finally {
+        self.removeEventListener('unhandledrejection', listener);
+      }
+      expect(reportedErrors)
+          .to.deep.equal([syncError, asyncError, syncError, asyncError]);
+      expect(unhandledRejections).to.deep.equal([]);
+    });
+
+    it('should report onerror exceptions', async function() {
+      const scheduler = new Scheduler();
+      const onerrorError = new Error('onerror');
+      scheduler.onerror = () => {
+        throw onerrorError;
+      };
+      await postFailingTask(scheduler, 'error');
+      expect(reportedErrors).to.deep.equal([onerrorError]);
+    });
+  });
+
+  describe('observers', function() {
+    let scheduler;
+    let records;
+
+    const summarize = (record) => {
+      return [record.type, record.queueingDelay, record.runDuration];
+    };
+
+    beforeEach(function() {
+      clock = 0;
+      scheduler = new FakeClockScheduler();
+      records = [];
+      scheduler.addObserver((record) => records.push(record));
+    });
+
+    it('should report when tasks are posted, start and end', async function() {
+      const task = scheduler.postTask(() => {
+        clock += 3;
+      }, {priority: 'background'});
+      clock = 2;
+      await task;
+
+      expect(records.map(summarize)).to.deep.equal([
+        ['posted', 0, 0],
+        ['start', 2, 0],
+        ['end', 2, 3],
+      ]);
+      records.forEach((record) => {
+        expect(record.id).to.equal(records[0].id);
+        expect(record.priority).to.equal('background');
+        expect(record.isContinuation).to.equal(false);
+      });
+      expect(records.map((record) => record.time)).to.deep.equal([0, 2, 5]);
+    });
+
+    it('should report when delays expire', async function() {
+      const task = scheduler.postTask(() => {
+        clock += 1;
+      }, {delay: 10});
+      clock = 10;
+      await task;
+
+      expect(records.map(summarize)).to.deep.equal([
+        ['posted', 0, 0],
+        ['delayexpired', 0, 0],
+        ['start', 0, 0],
+        ['end', 0, 1],
+      ]);
+    });
+
+    it('should report continuations', async function() {
+      await scheduler.postTask(async () => {
+        await scheduler.yield();
+      });
+
+      expect(records.map((record) => record.type + record.isContinuation))
+          .to.deep.equal([
+            'postedfalse', 'startfalse', 'postedtrue', 'endfalse', 'starttrue',
+            'endtrue',
+          ]);
+    });
+
+    it('should report aborted tasks', async function() {
+      const controller = new TaskController();
+      const task = scheduler.postTask(() => {}, {signal: controller.signal});
+      clock = 4;
+      controller.abort();
+      await task.catch(() => {});
+      // Tasks posted with an aborted signal are also reported.
+      await scheduler.postTask(() => {}, {signal: controller.signal})
+          .catch(() => {});
+
+      expect(records.map(summarize)).to.deep.equal([
+        ['posted', 0, 0],
+        ['abort', 4, 0],
+        ['posted', 0, 0],
+        ['abort', 0, 0],
+      ]);
+    });
+
+    it('should report priority changes', async function() {
+      const controller = new TaskController({priority: 'background'});
+      const task = scheduler.postTask(() => {}, {signal: controller.signal});
+      controller.setPriority('user-blocking');
+      await task;
+
+      const record = records[1];
+      expect(record.type).to.equal('prioritychange');
+      expect(record.priority).to.equal('user-blocking');
+      expect(record.previousPriority).to.equal('background');
+      expect(records[2].priority).to.equal('user-blocking');
+    });
+
+    it('should not notify removed observers', async function() {
+      const observer = () => {
+        throw new Error('Removed observer was called');
+      };
+      scheduler.addObserver(observer);
+      scheduler.removeObserver(observer);
+      await scheduler.postTask(() => {});
+      expect(records.length).to.equal(3);
+    });
+
+    it('should report observer exceptions asynchronously', async function() {
+      const reportError = self.reportError;
+      const errors = [];
+      self.reportError = (e) => errors.push(e);
+      try {
+        const error = new Error('observer error');
+        scheduler.addObserver(() => {
+          throw error;
+        });
+        expect(await scheduler.postTask(() => 'result')).to.equal('result');
+        expect(errors).to.deep.equal([error, error, error]);
+        expect(records.length).to.equal(3);
+      } finally {
+        self.reportError = reportError;
+      }
+    });
+
+    it('should throw for invalid observers', function() {
+      expect(() => scheduler.addObserver({})).to.throw(TypeError);
+    });
+  });
+
+  describe('user timing', function() {
+    afterEach(function() {
+      performance.clearMarks();
+      performance.clearMeasures();
+    });
+
+    it('should measure tasks by priority and name', async function() {
+      const scheduler = new Scheduler({userTiming: true});
+      await scheduler.postTask(() => {}, {priority: 'background'});
+      await scheduler.postTask(() => {}, {name: 'render'});
+
+      const names = performance.getEntriesByType('measure')
+          .map((entry) => entry.name);
+      expect(names).to.deep.equal(
+          ['background task', 'user-visible task: render']);
+    });
+
+    it('should not leave marks behind', async function() {
+      const scheduler = new Scheduler({userTiming: true});
+      for (let i = 0; i < 10; ++i) {
+        await scheduler.postTask(() => {}, {name: 'render'});
+      }
+      expect(performance.getEntriesByType('mark').length).to.equal(0);
+      expect(performance.getEntriesByType('measure').length).to.equal(10);
+    });
+
+    it('should measure continuations', async function() {
+      const scheduler = new Scheduler({userTiming: true});
+      await scheduler.postTask(async () => {
+        await scheduler.yield();
+      }, {priority: 'user-blocking'});
+
+      const names = performance.getEntriesByType('measure')
+          .map((entry) => entry.name);
+      expect(names).to.deep.equal(
+          ['user-blocking task', 'user-blocking continuation']);
+    });
+
+    it('should measure tasks that throw', async function() {
+      const scheduler = new Scheduler({userTiming: true});
+      await scheduler.postTask(() => {
+        throw new Error('error');
+      }, {name: 'failing'}).catch(() => {});
+      expect(performance.getEntriesByName('user-visible task: failing',
+          'measure').length).to.equal(1);
+    });
+
+    it('should be off by default', async function() {
+      await new Scheduler().postTask(() => {}, {name: 'unmeasured'});
+      expect(performance.getEntriesByType('measure').length).to.equal(0);
+      expect(performance.getEntriesByType('mark').length).to.equal(0);
+    });
+  });
+
   describe('#yield()', function() {
     yieldCommonTests(new Scheduler(), TaskController, false);
   });
@@ -14,10 +14,23 @@
  * limitations under the License.
  */
 
-import {schedulerYield} from '../src/yield.js';
+import {schedulerYield, wrapPostTask} from '../src/yield.js';
 import {yieldCommonTests} from './test.yield.common.js';
 
 describe('shedulerYield', function() {
+  let originalPostTask = null;
+
+  before(function() {
+    // Track the running task so continuations can inherit its state, as
+    // polyfill.js does.
+    originalPostTask = self.scheduler.postTask;
+    self.scheduler.postTask = wrapPostTask(self.scheduler);
+  });
+
+  after(function() {
+    self.scheduler.postTask = originalPostTask;
+  });
+
   self.scheduler.yield = schedulerYield;
   yieldCommonTests(self.scheduler, self.TaskController, true);
 });
@@ -15,8 +15,12 @@
  */
 
 import {SCHEDULER_PRIORITIES} from '../src/scheduler-priorities.js';
-import {TaskController, TaskSignal, TaskPriorityChangeEvent}
-  from '../src/task-controller.js';
+import {
+  ExtendedTaskController,
+  TaskController,
+  TaskSignal,
+  TaskPriorityChangeEvent,
+} from '../src/task-controller.js';
 
 describe('TaskController', function() {
   describe('#constructor', function() {
@@ -43,6 +47,36 @@ describe('TaskController', function() {
       });
     });
 
+    it('should not support the \'render-blocking\' priority', function() {
+      expect(() => new TaskController({priority: 'render-blocking'}))
+          .to.throw(TypeError);
+      const controller = new TaskController();
+      expect(() => controller.setPriority('render-blocking'))
+          .to.throw(TypeError);
+      expect(controller.signal.priority).to.equal('user-visible');
+    });
+
+    it('should support the \'render-blocking\' priority if extended',
+        function() {
+          const controller =
+              new ExtendedTaskController({priority: 'render-blocking'});
+          expect(controller.signal.priority).to.equal('render-blocking');
+          let event;
+          controller.signal.onprioritychange = (e) => {
+            event = e;
+          };
+          controller.setPriority('background');
+          expect(event).to.be.an.instanceOf(TaskPriorityChangeEvent);
+          expect(event.previousPriority).to.equal('render-blocking');
+          // Only setPriority() can create such events.
+          expect(() => new TaskPriorityChangeEvent(
+              'prioritychange', {previousPriority: 'render-blocking'}))
+              .to.throw(TypeError);
+          controller.setPriority('render-blocking');
+          expect(controller.signal.priority).to.equal('render-blocking');
+          expect(controller.signal instanceof TaskSignal).to.equal(true);
+        });
+
     it('should have read-only priority', function() {
       const controller = new TaskController();
       const signal = controller.signal;
@@ -146,6 +180,113 @@ describe('TaskSignal', function() {
     });
   });
 
+  describe('#any()', function() {
+    it('should return a TaskSignal', function() {
+      const controller = new AbortController();
+      const signal = TaskSignal.any([controller.signal]);
+      expect(signal instanceof TaskSignal).to.equal(true);
+      expect(signal.priority).to.equal('user-visible');
+      expect(signal.aborted).to.equal(false);
+    });
+
+    it('should abort when any signal is aborted', function() {
+      const controllers = [new AbortController(), new TaskController()];
+      const signal = TaskSignal.any(controllers.map((c) => c.signal));
+      controllers[1].abort('reason');
+      expect(signal.aborted).to.equal(true);
+      expect(signal.reason).to.equal('reason');
+    });
+
+    it('should be aborted if a signal is already aborted', function() {
+      const controllers = [new AbortController(), new AbortController()];
+      controllers[1].abort('reason');
+      const signal = TaskSignal.any(controllers.map((c) => c.signal));
+      expect(signal.aborted).to.equal(true);
+      expect(signal.reason).to.equal('reason');
+    });
+
+    it('should use a fixed priority', function() {
+      const controller = new TaskController({priority: 'user-blocking'});
+      const signal =
+          TaskSignal.any([controller.signal], {priority: 'background'});
+      expect(signal.priority).to.equal('background');
+      controller.setPriority('user-visible');
+      expect(signal.priority).to.equal('background');
+    });
+
+    it('should follow the priority of a TaskSignal', function(done) {
+      const controller = new TaskController({priority: 'background'});
+      const signal = TaskSignal.any([], {priority: controller.signal});
+      expect(signal.priority).to.equal('background');
+      signal.addEventListener('prioritychange', (e) => {
+        expect(signal.priority).to.equal('user-blocking');
+        expect(e.previousPriority).to.equal('background');
+        done();
+      });
+      controller.setPriority('user-blocking');
+    });
+
+    it('should stop following the priority once aborted', function() {
+      const priorityController = new TaskController({priority: 'background'});
+      const controller = new AbortController();
+      const signal = TaskSignal.any(
+          [controller.signal], {priority: priorityController.signal});
+      controller.abort();
+      priorityController.setPriority('user-blocking');
+      expect(signal.priority).to.equal('background');
+    });
+
+    it('should not follow the priority if already aborted', function() {
+      const priorityController = new TaskController({priority: 'background'});
+      const signal = TaskSignal.any(
+          [AbortSignal.abort()], {priority: priorityController.signal});
+      priorityController.setPriority('user-blocking');
+      expect(signal.priority).to.equal('background');
+    });
+
+    it('should follow the \'render-blocking\' priority if extended',
+        function() {
+          const controller =
+              new ExtendedTaskController({priority: 'render-blocking'});
+          const signal = TaskSignal.any([], {priority: controller.signal});
+          expect(signal.priority).to.equal('render-blocking');
+          controller.setPriority('background');
+          expect(signal.priority).to.equal('background');
+          controller.setPriority('render-blocking');
+          expect(signal.priority).to.equal('render-blocking');
+        });
+
+    it('should throw an error on invalid arguments', function() {
+      [
+        [],
+        [null],
+        [[{}]],
+        [[], {priority: 'unknown'}],
+        [[], {priority: 'render-blocking'}],
+        [[], 'init'],
+      ].forEach((args) => {
+        try {
+          TaskSignal.any(...args);
+          assert.ok(false);
+        } catch (e) {
+          expect(e.name).to.equal('TypeError');
+        }
+      });
+    });
+
+    it('should not listen to signals if the priority source is invalid',
+        function() {
+          const controller = new TaskController();
+          const types = [];
+          controller.signal.addEventListener = (type) => types.push(type);
+          expect(() => {
+            TaskSignal.any(
+                [controller.signal], {priority: {priority: 'background'}});
+          }).to.throw(TypeError, 'Invalid task priority');
+          expect(types).to.deep.equal([]);
+        });
+  });
+
   describe('instanceof', function() {
     it('should be instanceof TaskSignal', function() {
       const controller = new TaskController();
@@ -198,6 +339,7 @@ describe('TaskPriorityChangeEvent', function() {
         ['', {previousPriority: null}],
         ['', {previousPriority: ''}],
         ['', {previousPriority: 1}],
+        ['', {previousPriority: 'render-blocking'}],
       ].forEach(async (args) => {
         try {
           new TaskPriorityChangeEvent(...args);
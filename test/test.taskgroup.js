@@ -0,0 +1,263 @@
+/**
+ * Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {TestScheduler} from '../src/test-scheduler.js';
+import {TaskGroup} from '../src/task-group.js';
+
+describe('TaskGroup', function() {
+  let scheduler;
+
+  beforeEach(function() {
+    scheduler = new TestScheduler();
+  });
+
+  /**
+   * Returns the error `promise` is rejected with, or undefined if it
+   * resolves.
+   * @param {!Promise<*>} promise
+   * @return {!Promise<*>}
+   */
+  async function getError(promise) {
+    try {
+      await promise;
+    } catch (e) {
+      return e;
+    }
+  }
+
+  it('should be created for a scheduler', function() {
+    const group = new TaskGroup(scheduler, {priority: 'background'});
+    expect(group).to.be.an.instanceOf(TaskGroup);
+    expect(group.priority).to.equal('background');
+    expect(group.signal.priority).to.equal('background');
+    expect(group.size).to.equal(0);
+    expect(new TaskGroup(scheduler).priority).to.equal('user-visible');
+  });
+
+  it('should throw for invalid options', function() {
+    expect(() => new TaskGroup(scheduler, {priority: 'high'}))
+        .to.throw(TypeError);
+    expect(() => new TaskGroup(scheduler, {signal: {}})).to.throw(TypeError);
+    expect(() => new TaskGroup(scheduler, 'background')).to.throw(TypeError);
+    expect(() => new TaskGroup({})).to.throw(TypeError);
+  });
+
+  describe('#postTask()', function() {
+    it('should run tasks at the group\'s priority', async function() {
+      let result = '';
+      const group = new TaskGroup(scheduler, {priority: 'background'});
+      group.postTask(() => {
+        result += 'b';
+      });
+      scheduler.postTask(() => {
+        result += 'u';
+      });
+      await scheduler.runAll();
+      expect(result).to.equal('ub');
+      expect(group.size).to.equal(1);
+    });
+
+    it('should abort tasks when their own signal aborts', async function() {
+      const group = new TaskGroup(scheduler, {priority: 'background'});
+      const controller = new AbortController();
+      let result = '';
+      const aborted = getError(group.postTask(() => {
+        result += 'a';
+      }, {signal: controller.signal}));
+      group.postTask(() => {
+        result += 'b';
+      });
+      controller.abort('reason');
+      group.setPriority('user-blocking');
+      scheduler.postTask(() => {
+        result += 'u';
+      });
+      await scheduler.runAll();
+      expect(await aborted).to.equal('reason');
+      expect(result).to.equal('bu');
+    });
+
+    it('should reject for invalid signals', async function() {
+      const group = new TaskGroup(scheduler);
+      const error = await getError(group.postTask(() => {}, {signal: {}}));
+      expect(error).to.be.an.instanceOf(TypeError);
+    });
+  });
+
+  describe('#setPriority()', function() {
+    it('should reprioritize queued tasks', async function() {
+      let result = '';
+      const group = new TaskGroup(scheduler, {priority: 'background'});
+      for (let i = 0; i < 3; ++i) {
+        group.postTask(() => {
+          result += i;
+        });
+      }
+      group.postTask(() => {
+        result += 'p';
+      }, {priority: 'background'});
+      scheduler.postTask(() => {
+        result += 'u';
+      });
+      group.setPriority('user-blocking');
+      expect(group.priority).to.equal('user-blocking');
+      await scheduler.runAll();
+      expect(result).to.equal('012up');
+    });
+
+    it('should reprioritize tasks with their own signal', async function() {
+      let result = '';
+      const group = new TaskGroup(scheduler, {priority: 'background'});
+      group.postTask(() => {
+        result += 'g';
+      }, {signal: new AbortController().signal});
+      scheduler.postTask(() => {
+        result += 'u';
+      });
+      group.setPriority('user-blocking');
+      await scheduler.runAll();
+      expect(result).to.equal('gu');
+    });
+
+    it('should stop following the group once tasks settle', async function() {
+      const group = new TaskGroup(scheduler, {priority: 'background'});
+      let signal;
+      group.postTask(() => {
+        signal = scheduler.currentTask.signal;
+      }, {signal: new AbortController().signal});
+      await scheduler.runAll();
+      group.setPriority('user-blocking');
+      expect(signal.priority).to.equal('background');
+    });
+  });
+
+  describe('#all()', function() {
+    it('should resolve with the results in posting order', async function() {
+      const group = new TaskGroup(scheduler);
+      group.postTask(() => 'a', {delay: 10});
+      group.postTask(() => 'b');
+      const all = group.all();
+      await scheduler.runAll();
+      expect(await all).to.deep.equal(['a', 'b']);
+    });
+
+    it('should include tasks posted while waiting', async function() {
+      const group = new TaskGroup(scheduler);
+      group.postTask(() => {
+        group.postTask(() => 'b');
+        return 'a';
+      });
+      const all = group.all();
+      await scheduler.runAll();
+      expect(await all).to.deep.equal(['a', 'b']);
+    });
+
+    it('should reject with the first error', async function() {
+      const group = new TaskGroup(scheduler);
+      group.postTask(() => {
+        throw new Error('first');
+      }).catch(() => {});
+      group.postTask(() => {
+        throw new Error('second');
+      }).catch(() => {});
+      const all = getError(group.all());
+      await scheduler.runAll();
+      expect((await all).message).to.equal('first');
+    });
+
+    it('should resolve for empty groups', async function() {
+      expect(await new TaskGroup(scheduler).all()).to.deep.equal([]);
+    });
+
+    it('should not include tasks that settled before', async function() {
+      const group = new TaskGroup(scheduler);
+      group.postTask(() => 'a');
+      await scheduler.runAll();
+      group.postTask(() => 'b');
+      const all = group.all();
+      await scheduler.runAll();
+      expect(await all).to.deep.equal(['b']);
+      expect(await group.all()).to.deep.equal([]);
+      expect(group.size).to.equal(2);
+    });
+
+    it('should keep tasks that settle while another call waits',
+        async function() {
+          const group = new TaskGroup(scheduler);
+          group.postTask(() => 'a');
+          group.postTask(() => 'b', {delay: 10});
+          const first = group.all();
+          await scheduler.runUntilIdle();
+          // 'a' has settled, but is kept since the first call is waiting.
+          const second = group.allSettled();
+          await scheduler.runAll();
+          expect(await first).to.deep.equal(['a', 'b']);
+          expect((await second).map(({value}) => value))
+              .to.deep.equal(['a', 'b']);
+          expect(await group.all()).to.deep.equal([]);
+        });
+  });
+
+  describe('#allSettled()', function() {
+    it('should resolve with all outcomes', async function() {
+      const group = new TaskGroup(scheduler);
+      const error = new Error('error');
+      group.postTask(() => 'a');
+      group.postTask(() => {
+        throw error;
+      }).catch(() => {});
+      const allSettled = group.allSettled();
+      await scheduler.runAll();
+      expect(await allSettled).to.deep.equal([
+        {status: 'fulfilled', value: 'a'},
+        {status: 'rejected', reason: error},
+      ]);
+    });
+  });
+
+  describe('#abort()', function() {
+    it('should abort pending and future tasks', async function() {
+      let result = '';
+      const group = new TaskGroup(scheduler);
+      const pending = getError(group.postTask(() => {
+        result += 'a';
+      }));
+      group.abort('reason');
+      const future = getError(group.postTask(() => {
+        result += 'b';
+      }));
+      await scheduler.runAll();
+      expect(result).to.equal('');
+      expect(await pending).to.equal('reason');
+      expect(await future).to.equal('reason');
+      expect(group.signal.aborted).to.equal(true);
+    });
+
+    it('should be triggered by the group\'s signal', async function() {
+      const controller = new AbortController();
+      const group = new TaskGroup(scheduler, {signal: controller.signal});
+      const pending = getError(group.postTask(() => {}));
+      controller.abort('reason');
+      await scheduler.runAll();
+      expect(await pending).to.equal('reason');
+      expect(group.signal.reason).to.equal('reason');
+
+      const abortedGroup =
+          new TaskGroup(scheduler, {signal: controller.signal});
+      expect(abortedGroup.signal.aborted).to.equal(true);
+    });
+  });
+});
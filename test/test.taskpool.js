@@ -0,0 +1,160 @@
+/**
+ * Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {TaskController} from '../src/task-controller.js';
+import {TaskPool} from '../src/task-pool.js';
+import {TestScheduler} from '../src/test-scheduler.js';
+
+describe('TaskPool', function() {
+  let scheduler;
+
+  beforeEach(function() {
+    scheduler = new TestScheduler();
+  });
+
+  /**
+   * Returns a task callback that records when it starts and finishes, and
+   * finishes after `duration` milliseconds of virtual time.
+   * @param {!Array<string>} log
+   * @param {string} label
+   * @param {number=} duration
+   * @return {function(): !Promise<string>}
+   */
+  function asyncTask(log, label, duration = 10) {
+    return async () => {
+      log.push(`${label}+`);
+      await scheduler.postTask(() => {}, {delay: duration});
+      log.push(`${label}-`);
+      return label;
+    };
+  }
+
+  it('should be created for a scheduler', function() {
+    const pool = new TaskPool(scheduler, {concurrency: 2});
+    expect(pool).to.be.an.instanceOf(TaskPool);
+    expect(pool.concurrency).to.equal(2);
+    expect(pool.running).to.equal(0);
+    expect(pool.pending).to.equal(0);
+    expect(new TaskPool(scheduler).concurrency).to.equal(1);
+  });
+
+  it('should throw for invalid options', function() {
+    for (const concurrency of [0, -1, 1.5, NaN, '2']) {
+      expect(() => new TaskPool(scheduler, {concurrency})).to.throw(TypeError);
+    }
+    expect(() => new TaskPool(scheduler, {priority: 'high'}))
+        .to.throw(TypeError);
+    expect(() => new TaskPool(scheduler, 1)).to.throw(TypeError);
+    expect(() => new TaskPool(null)).to.throw(TypeError);
+  });
+
+  it('should limit the number of tasks in flight', async function() {
+    const log = [];
+    const pool = new TaskPool(scheduler, {concurrency: 2});
+    const results = ['a', 'b', 'c'].map((label) => {
+      return pool.postTask(asyncTask(log, label));
+    });
+    expect(pool.running).to.equal(2);
+    expect(pool.pending).to.equal(1);
+
+    await scheduler.runUntilIdle();
+    expect(log).to.deep.equal(['a+', 'b+']);
+    await scheduler.advanceBy(10);
+    expect(log).to.deep.equal(['a+', 'b+', 'a-', 'c+', 'b-']);
+    await scheduler.runAll();
+    expect(await Promise.all(results)).to.deep.equal(['a', 'b', 'c']);
+    expect(pool.running).to.equal(0);
+  });
+
+  it('should free slots when tasks fail', async function() {
+    const pool = new TaskPool(scheduler);
+    const error = new Error('error');
+    const failed = pool.postTask(() => {
+      throw error;
+    }).catch((e) => e);
+    const succeeded = pool.postTask(() => 'ok');
+    await scheduler.runAll();
+    expect(await failed).to.equal(error);
+    expect(await succeeded).to.equal('ok');
+  });
+
+  it('should post waiting tasks in priority order', async function() {
+    const log = [];
+    const pool = new TaskPool(scheduler, {priority: 'background'});
+    const controller = new TaskController({priority: 'background'});
+    pool.postTask(asyncTask(log, 'a'));
+    pool.postTask(asyncTask(log, 'b'));
+    pool.postTask(asyncTask(log, 'c'), {priority: 'user-visible'});
+    pool.postTask(asyncTask(log, 'd'), {signal: controller.signal});
+    controller.setPriority('user-blocking');
+    await scheduler.runAll();
+    expect(log.filter((entry) => entry.endsWith('+')))
+        .to.deep.equal(['a+', 'd+', 'c+', 'b+']);
+  });
+
+  it('should follow priority changes once posted', async function() {
+    let result = '';
+    const pool = new TaskPool(scheduler);
+    const controller = new TaskController({priority: 'background'});
+    pool.postTask(() => {
+      result += 'p';
+    }, {signal: controller.signal});
+    scheduler.postTask(() => {
+      result += 'u';
+    });
+    controller.setPriority('user-blocking');
+    await scheduler.runAll();
+    expect(result).to.equal('pu');
+  });
+
+  it('should reject aborted tasks without posting them', async function() {
+    const log = [];
+    const pool = new TaskPool(scheduler);
+    const controller = new TaskController();
+    pool.postTask(asyncTask(log, 'a'));
+    const aborted = pool.postTask(asyncTask(log, 'b'), {
+      signal: controller.signal,
+    }).catch((e) => e);
+    expect(pool.pending).to.equal(1);
+    controller.abort('reason');
+    expect(pool.pending).to.equal(0);
+    expect(await aborted).to.equal('reason');
+
+    const alreadyAborted =
+        pool.postTask(() => {}, {signal: controller.signal}).catch((e) => e);
+    expect(await alreadyAborted).to.equal('reason');
+    await scheduler.runAll();
+    expect(log).to.deep.equal(['a+', 'a-']);
+  });
+
+  it('should reject aborted tasks once posted', async function() {
+    const pool = new TaskPool(scheduler);
+    const controller = new TaskController();
+    const aborted = pool.postTask(() => {}, {
+      signal: controller.signal,
+    }).catch((e) => e);
+    expect(pool.running).to.equal(1);
+    controller.abort('reason');
+    expect(await aborted).to.equal('reason');
+    expect(pool.running).to.equal(0);
+  });
+
+  it('should reject invalid signals', async function() {
+    const pool = new TaskPool(scheduler);
+    const error = await pool.postTask(() => {}, {signal: {}}).catch((e) => e);
+    expect(error).to.be.an.instanceOf(TypeError);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {TaskController} from '../src/task-controller.js';
+import {TestScheduler} from '../src/test-scheduler.js';
+
+describe('TestScheduler', function() {
+  let scheduler;
+
+  beforeEach(function() {
+    scheduler = new TestScheduler();
+  });
+
+  it('should not run tasks until asked to', async function() {
+    let result = '';
+    scheduler.postTask(() => {
+      result += 'task';
+    });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(result).to.equal('');
+    await scheduler.runUntilIdle();
+    expect(result).to.equal('task');
+  });
+
+  it('should run tasks in priority order', async function() {
+    let result = '';
+    ['background', 'user-visible', 'user-blocking'].forEach((priority) => {
+      scheduler.postTask(() => {
+        result += priority[0];
+      }, {priority});
+    });
+    await scheduler.runUntilIdle();
+    expect(result).to.equal('uub');
+  });
+
+  it('should run continuations before other tasks', async function() {
+    let result = '';
+    scheduler.postTask(async () => {
+      result += 'a';
+      scheduler.postTask(() => {
+        result += 'c';
+      });
+      await scheduler.yield();
+      result += 'b';
+    });
+    await scheduler.runUntilIdle();
+    expect(result).to.equal('abc');
+  });
+
+  describe('#runNext()', function() {
+    it('should run one task at a time', async function() {
+      let result = '';
+      for (let i = 0; i < 3; ++i) {
+        scheduler.postTask(() => {
+          result += i;
+        });
+      }
+      expect(await scheduler.runNext()).to.equal(true);
+      expect(result).to.equal('0');
+      expect(await scheduler.runNext()).to.equal(true);
+      expect(result).to.equal('01');
+      expect(await scheduler.runNext()).to.equal(true);
+      expect(await scheduler.runNext()).to.equal(false);
+      expect(result).to.equal('012');
+    });
+
+    it('should advance the clock to the next delayed task', async function() {
+      let result = '';
+      scheduler.postTask(() => {
+        result += 'a';
+      }, {delay: 100});
+      expect(await scheduler.runNext()).to.equal(true);
+      expect(result).to.equal('a');
+      expect(scheduler.now()).to.equal(100);
+    });
+  });
+
+  describe('#advanceBy()', function() {
+    it('should run delayed tasks as they expire', async function() {
+      let result = '';
+      [30, 10, 20].forEach((delay) => {
+        scheduler.postTask(() => {
+          result += `${delay}@${scheduler.now()} `;
+        }, {delay});
+      });
+
+      await scheduler.advanceBy(5);
+      expect(result).to.equal('');
+      expect(scheduler.now()).to.equal(5);
+
+      await scheduler.advanceBy(15);
+      expect(result).to.equal('10@10 20@20 ');
+      expect(scheduler.now()).to.equal(20);
+
+      await scheduler.advanceBy(100);
+      expect(result).to.equal('10@10 20@20 30@30 ');
+      expect(scheduler.now()).to.equal(120);
+    });
+
+    it('should run tasks posted by delayed tasks', async function() {
+      let result = '';
+      scheduler.postTask(() => {
+        result += 'a';
+        scheduler.postTask(() => {
+          result += 'b';
+        }, {delay: 10});
+        scheduler.postTask(() => {
+          result += 'c';
+        });
+      }, {delay: 10});
+
+      await scheduler.advanceBy(10);
+      expect(result).to.equal('ac');
+      await scheduler.advanceBy(10);
+      expect(result).to.equal('acb');
+    });
+
+    it('should reject for invalid values', async function() {
+      for (const ms of [-1, NaN, Infinity, '10']) {
+        let error;
+        try {
+          await scheduler.advanceBy(ms);
+        } catch (e) {
+          error = e;
+        }
+        expect(error).to.be.an.instanceOf(TypeError);
+      }
+    });
+  });
+
+  describe('#runAll()', function() {
+    it('should run everything, including delayed tasks', async function() {
+      let result = '';
+      scheduler.postTask(() => {
+        result += 'c';
+      }, {delay: 50});
+      scheduler.postTask(() => {
+        result += 'b';
+      }, {priority: 'background'});
+      scheduler.postTask(() => {
+        result += 'a';
+      });
+      await scheduler.runAll();
+      expect(result).to.equal('abc');
+      expect(scheduler.now()).to.equal(50);
+    });
+
+    it('should not run aborted tasks', async function() {
+      let result = '';
+      const controller = new TaskController();
+      scheduler.postTask(() => {
+        result += 'a';
+      }, {signal: controller.signal, delay: 10}).catch(() => {});
+      scheduler.postTask(() => {
+        result += 'b';
+      }, {signal: controller.signal}).catch(() => {});
+      controller.abort();
+      await scheduler.runAll();
+      expect(result).to.equal('');
+    });
+  });
+
+  it('should use virtual time for time slicing', async function() {
+    scheduler = new TestScheduler({timeSlice: 5});
+    let result = '';
+    for (let i = 0; i < 3; ++i) {
+      scheduler.postTask(() => {
+        result += i;
+        queueMicrotask(() => {
+          result += 'm';
+        });
+      });
+    }
+    // The virtual clock doesn't advance while tasks run, so all tasks run in
+    // a single slice.
+    await scheduler.runNext();
+    expect(result).to.equal('012mmm');
+  });
+
+  it('should reject if run from within a task', async function() {
+    let error;
+    scheduler.postTask(() => {
+      scheduler.runNext().catch((e) => {
+        error = e;
+      });
+    });
+    await scheduler.runAll();
+    expect(error).to.be.an.instanceOf(Error);
+  });
+});
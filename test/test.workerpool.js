@@ -0,0 +1,281 @@
+/**
+ * Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {TaskController} from '../src/task-controller.js';
+import {TestScheduler} from '../src/test-scheduler.js';
+import {WorkerPool} from '../src/worker-pool.js';
+import {exposeWorkerTasks} from '../src/worker-runtime.js';
+
+/**
+ * A stand-in for a dedicated worker that runs in the same thread. Messages are
+ * cloned and delivered synchronously, which keeps tests deterministic.
+ */
+class FakeWorker extends EventTarget {
+  /**
+   * Constructs a FakeWorker, along with the scope the worker side listens to.
+   */
+  constructor() {
+    super();
+    this.terminated = false;
+    this.messages = [];
+    this.scope = new EventTarget();
+    this.scope.postMessage = (data) => {
+      if (this.terminated) return;
+      this.dispatchMessage_(this, data);
+    };
+  }
+
+  /**
+   * @param {*} data
+   */
+  postMessage(data) {
+    if (this.terminated) return;
+    this.messages.push(data);
+    this.dispatchMessage_(this.scope, data);
+  }
+
+  /**
+   * Stops delivering messages.
+   */
+  terminate() {
+    this.terminated = true;
+  }
+
+  /**
+   * @private
+   * @param {!EventTarget} target
+   * @param {*} data
+   */
+  dispatchMessage_(target, data) {
+    const event = new Event('message');
+    event.data = structuredClone(data);
+    target.dispatchEvent(event);
+  }
+}
+
+describe('WorkerPool', function() {
+  let workers;
+  let schedulers;
+  let pool;
+  let log;
+
+  const tasks = {
+    add: (a, b) => a + b,
+    log: (label) => {
+      log.push(label);
+      return label;
+    },
+    fail: () => {
+      throw new Error('failed');
+    },
+  };
+
+  /**
+   * Creates a pool of FakeWorkers, each of which runs `tasks`, and functions,
+   * on a TestScheduler.
+   * @param {number=} size
+   * @return {!WorkerPool}
+   */
+  function createPool(size = 1) {
+    return new WorkerPool(() => {
+      const worker = new FakeWorker();
+      const scheduler = new TestScheduler();
+      exposeWorkerTasks(
+          tasks, {scope: worker.scope, scheduler, allowFunctions: true});
+      workers.push(worker);
+      schedulers.push(scheduler);
+      return worker;
+    }, {size});
+  }
+
+  /**
+   * Runs the tasks of all workers.
+   * @return {!Promise<undefined>}
+   */
+  async function runWorkers() {
+    for (const scheduler of schedulers) await scheduler.runAll();
+  }
+
+  beforeEach(function() {
+    workers = [];
+    schedulers = [];
+    log = [];
+    pool = createPool();
+  });
+
+  it('should create workers', function() {
+    pool = createPool(3);
+    expect(pool.size).to.equal(3);
+    expect(workers.length).to.equal(4);
+  });
+
+  it('should throw for invalid options', function() {
+    for (const size of [0, -1, 1.5, '2']) {
+      expect(() => new WorkerPool(() => new FakeWorker(), {size}))
+          .to.throw(TypeError);
+    }
+  });
+
+  it('should run named tasks', async function() {
+    const result = pool.postTask('add', [1, 2]);
+    await runWorkers();
+    expect(await result).to.equal(3);
+  });
+
+  it('should run functions', async function() {
+    const result =
+        pool.postTask((text) => JSON.parse(text).value, ['{"value": 1}']);
+    await runWorkers();
+    expect(await result).to.equal(1);
+  });
+
+  it('should not run functions by default', async function() {
+    const worker = new FakeWorker();
+    exposeWorkerTasks(tasks, {scope: worker.scope});
+    pool = new WorkerPool(() => worker, {size: 1});
+    const error = await pool.postTask(() => 1).catch((e) => e);
+    expect(error).to.be.an.instanceOf(Error);
+    expect(await pool.postTask('add', [1, 1])).to.equal(2);
+  });
+
+  it('should reject with task errors', async function() {
+    const results = [
+      pool.postTask('fail').catch((e) => e),
+      pool.postTask('unknown').catch((e) => e),
+    ];
+    await runWorkers();
+    const errors = await Promise.all(results);
+    expect(errors[0].message).to.equal('failed');
+    expect(errors[1]).to.be.an.instanceOf(TypeError);
+  });
+
+  it('should reject invalid arguments', async function() {
+    for (const args of [
+      [1],
+      ['add', 1],
+      ['add', [() => {}]],
+      ['add', [], {priority: 'render-blocking'}],
+      ['add', [], {signal: {}}],
+      ['add', [], {delay: -1}],
+    ]) {
+      const error = await pool.postTask(...args).catch((e) => e);
+      expect(error).to.be.an.instanceOf(Error);
+    }
+  });
+
+  it('should run tasks in priority order', async function() {
+    pool.postTask('log', ['background'], {priority: 'background'});
+    pool.postTask('log', ['user-visible']);
+    pool.postTask('log', ['user-blocking'], {priority: 'user-blocking'});
+    await runWorkers();
+    expect(log).to.deep.equal(['user-blocking', 'user-visible', 'background']);
+  });
+
+  it('should mirror priority changes', async function() {
+    const controller = new TaskController({priority: 'background'});
+    pool.postTask('log', ['a'], {signal: controller.signal});
+    pool.postTask('log', ['b']);
+    pool.postTask('log', ['c'], {signal: controller.signal});
+    controller.setPriority('user-blocking');
+    await runWorkers();
+    expect(log).to.deep.equal(['a', 'c', 'b']);
+  });
+
+  it('should mirror aborts', async function() {
+    const controller = new TaskController();
+    const aborted = pool.postTask('log', ['a'], {
+      signal: controller.signal,
+    }).catch((e) => e);
+    const result = pool.postTask('log', ['b']);
+    controller.abort('reason');
+    expect(await aborted).to.equal('reason');
+    await runWorkers();
+    expect(await result).to.equal('b');
+    expect(log).to.deep.equal(['b']);
+
+    const alreadyAborted =
+        pool.postTask('log', ['c'], {signal: controller.signal});
+    expect(await alreadyAborted.catch((e) => e)).to.equal('reason');
+  });
+
+  it('should release signals once their tasks finish', async function() {
+    const controller = new TaskController();
+    const types = () => workers[0].messages.map(({type}) => type);
+    const results = ['a', 'b'].map((label) => {
+      return pool.postTask('log', [label], {signal: controller.signal});
+    });
+    await runWorkers();
+    await Promise.all(results);
+    expect(types()).to.deep.equal(['signal', 'post', 'post', 'signal-release']);
+
+    // The signal is no longer mirrored, until it is posted with again.
+    controller.setPriority('background');
+    const result = pool.postTask('log', ['c'], {signal: controller.signal});
+    await runWorkers();
+    await result;
+    controller.abort();
+    expect(types().slice(4))
+        .to.deep.equal(['signal', 'post', 'signal-release']);
+    expect(log).to.deep.equal(['a', 'b', 'c']);
+  });
+
+  it('should reject the tasks of failed workers', async function() {
+    pool = createPool(2);
+    const results = ['a', 'b'].map((label) => {
+      return pool.postTask('log', [label]).catch((e) => e);
+    });
+    workers[1].dispatchEvent(new Event('error'));
+    expect(await results[0]).to.be.an.instanceOf(Error);
+    workers[2].dispatchEvent(new Event('messageerror'));
+    expect(await results[1]).to.be.an.instanceOf(Error);
+  });
+
+  it('should replace failed workers', async function() {
+    const failed = pool.postTask('add', [1, 2]).catch((e) => e);
+    workers[0].dispatchEvent(new Event('error'));
+    expect(await failed).to.be.an.instanceOf(Error);
+    expect(workers[0].terminated).to.equal(true);
+    expect(workers.length).to.equal(2);
+    expect(pool.size).to.equal(1);
+    // Tasks posted after the failure settle, since they go to the new worker.
+    const result = pool.postTask('add', [2, 3]);
+    await runWorkers();
+    expect(await result).to.equal(5);
+    expect(workers[1].messages.length).to.equal(1);
+  });
+
+  it('should send tasks to the least busy worker', async function() {
+    pool = createPool(2);
+    ['a', 'b', 'c'].forEach((label) => pool.postTask('log', [label]));
+    await schedulers[1].runAll();
+    expect(log).to.deep.equal(['a', 'c']);
+    // The first worker is idle again, while the second one still has a task.
+    pool.postTask('log', ['d']);
+    await schedulers[1].runAll();
+    expect(log).to.deep.equal(['a', 'c', 'd']);
+    await schedulers[2].runAll();
+    expect(log).to.deep.equal(['a', 'c', 'd', 'b']);
+  });
+
+  it('should reject unfinished tasks when terminated', async function() {
+    const result = pool.postTask('add', [1, 2]).catch((e) => e);
+    pool.terminate();
+    expect(workers[0].terminated).to.equal(true);
+    expect(await result).to.be.an.instanceOf(Error);
+    expect(await pool.postTask('add', [1, 2]).catch((e) => e))
+        .to.be.an.instanceOf(Error);
+  });
+});
@@ -62,19 +62,67 @@ function yieldCommonTests(scheduler, ControllerInterface, hasPostTask) {
     expect(result).to.equal('continuation task');
   });
 
-  it('should not abort scheduled continuations.', async function() {
-    // The polyfill doesn't support inheritance, so the yield promise won't be
-    // rejected.
+  it('should abort continuations with the inherited signal.', async function() {
     const controller = new ControllerInterface();
-    scheduler.postTask(async () => {
+    let reason = null;
+    await scheduler.postTask(async () => {
       const p = scheduler.yield();
       controller.abort('abort reason');
       try {
         await p;
-      } catch (e) {
         assert.ok(false);
+      } catch (e) {
+        reason = e;
       }
     }, {signal: controller.signal}).catch(() => {});
+    expect(reason).to.equal('abort reason');
+  });
+
+  it('should not abort continuations without a signal.', async function() {
+    const controller = new ControllerInterface();
+    let continuation = null;
+    await scheduler.postTask(() => {
+      continuation = scheduler.yield({signal: undefined});
+      controller.abort('abort reason');
+    }, {signal: controller.signal}).catch(() => {});
+    await continuation;
+  });
+
+  it('should inherit the priority of the current task.', async function() {
+    let result = '';
+    await scheduler.postTask(async () => {
+      const tasks = [
+        scheduler.postTask(() => {
+          result += 'uv, ';
+        }, {priority: 'user-visible'}),
+        scheduler.postTask(() => {
+          result += 'bg, ';
+        }, {priority: 'background'}),
+      ];
+      await scheduler.yield();
+      result += 'bg-c, ';
+      await Promise.all(tasks);
+    }, {priority: 'background'});
+    expect(result).to.equal('uv, bg-c, bg, ');
+  });
+
+  it('should use the priority and signal passed to yield().', async function() {
+    const controller = new ControllerInterface();
+    let reason = null;
+    await scheduler.postTask(async () => {
+      await scheduler.yield();
+      // The current task is no longer known after an await, so carry the
+      // signal explicitly.
+      const p = scheduler.yield({signal: controller.signal});
+      controller.abort('abort reason');
+      try {
+        await p;
+        assert.ok(false);
+      } catch (e) {
+        reason = e;
+      }
+    });
+    expect(reason).to.equal('abort reason');
   });
 
   // Priority tests.
@@ -0,0 +1,389 @@
+/**
+ * Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import type {
+  SchedulerPostTaskOptions,
+  TaskControllerConstructor,
+  TaskPriority,
+  TaskPriorityChangeEventConstructor,
+  TaskSignalConstructor,
+} from "./scheduler";
+
+export type {
+  SchedulerPostTaskOptions,
+  TaskPriority,
+} from "./scheduler";
+
+/**
+ * Determines how a {@link Scheduler} queues and cancels host callbacks, i.e. the callbacks it uses to get control back from the event loop.
+ */
+export interface HostCallbackStrategy {
+  /**
+   * Queues `callback` to run after `delay` milliseconds, returning a handle that can be passed to {@link cancelCallback}. The delay is 0 except for the strategy used for delayed tasks. If `timeout` is non-zero, the callback should run within that many milliseconds, e.g. by using it as the idle callback timeout. Idle strategies can pass an `IdleDeadline` to `callback`.
+   */
+  queueCallback(callback: (deadline?: IdleDeadline) => void, delay: number, timeout?: number): unknown;
+  /** Cancels the callback associated with `handle`. */
+  cancelCallback(handle: any): void;
+}
+
+/** Schedules callbacks with `requestAnimationFrame`. Note that animation frames aren't run in hidden pages. */
+export declare const animationFrameStrategy: HostCallbackStrategy;
+/** Schedules callbacks with unref'd timers, which don't keep server runtimes alive. */
+export declare const backgroundTimerStrategy: HostCallbackStrategy;
+/** Schedules callbacks with `requestIdleCallback`. */
+export declare const idleCallbackStrategy: HostCallbackStrategy;
+/** Schedules callbacks in microtasks, ahead of other tasks, falling back to macrotasks if input is pending or a burst of microtask callbacks exceeds its time budget. */
+export declare const microtaskStrategy: HostCallbackStrategy;
+/** Schedules callbacks as `"user-blocking"` tasks with the native scheduler. Only usable if the runtime implements the scheduler API. */
+export declare const nativePostTaskStrategy: HostCallbackStrategy;
+/** Schedules callbacks with a `MessageChannel` shared by all non-isolated schedulers. */
+export declare const postMessageStrategy: HostCallbackStrategy;
+/** Schedules callbacks with `setImmediate`. */
+export declare const setImmediateStrategy: HostCallbackStrategy;
+/** Schedules callbacks with `setTimeout`. */
+export declare const setTimeoutStrategy: HostCallbackStrategy;
+
+/** The task priorities, including the opt-in `"render-blocking"` priority, which is higher than `"user-blocking"` and runs just before the next frame. */
+export type ExtendedTaskPriority = "render-blocking" | TaskPriority;
+
+/** {@link Scheduler.postTask} options, which also accept the `"render-blocking"` priority if enabled, and the non-standard options of the ponyfill. */
+export type ExtendedSchedulerPostTaskOptions = Omit<SchedulerPostTaskOptions, "priority"> & {
+  priority?: ExtendedTaskPriority;
+  /** A label for the task in User Timing entries, if enabled. */
+  name?: string;
+  /** The maximum time in milliseconds the task waits to run once queued, after which it runs even if the page isn't idle. 0 (the default) means no timeout. */
+  timeout?: number;
+  /** If a task posted with the same key hasn't started yet, no new task is posted, and the returned promise settles with that task's result. */
+  key?: unknown;
+  /** Whether a task coalesced by `key` replaces the pending task's callback (`"replace"`, the default) or is merged into it, which keeps its callback (`"merge"`). */
+  coalesce?: "replace" | "merge";
+};
+
+/**
+ * {@link Scheduler.yield} and {@link bindSchedulerYield} options, which are not
+ * part of the standard API. They carry the priority and signal of a task
+ * across `await` boundaries.
+ */
+export type SchedulerYieldOptions = {
+  /** The {@link TaskPriority} of the continuation, or `"inherit"` (the default) to use the priority of the running task. */
+  priority?: TaskPriority | "inherit";
+  /** The signal used to abort the continuation, or `"inherit"` (the default) to use the signal of the running task. */
+  signal?: AbortSignal | TaskSignal | "inherit";
+};
+
+/** Passed to {@link postPeriodicTask} callbacks. */
+export type PeriodicTaskCallbackInfo = Pick<CurrentTaskInfo, "didTimeout" | "timeRemaining"> & {
+  /** When the run was due, in milliseconds. */
+  scheduledTime: number;
+};
+
+/** {@link postPeriodicTask} options. */
+export type SchedulerPostPeriodicTaskOptions = ExtendedSchedulerPostTaskOptions & {
+  /** The time between runs, in milliseconds. */
+  interval: number;
+  /** Whether runs missed, e.g. because the previous run took too long, are skipped or run back to back. The default is `"skip"`. */
+  missedRuns?: "skip" | "catch-up";
+};
+
+/** {@link debounce} and {@link throttle} options. */
+export type DebounceOptions = {
+  /** The number of milliseconds to wait after the last call, or for throttled functions, between invocations. The default is 0. */
+  wait?: number;
+  /** Whether to invoke the function on the leading edge of `wait`. The default is false for debounced functions and true for throttled ones. */
+  leading?: boolean;
+  /** Whether to invoke the function on the trailing edge of `wait`. The default is true. */
+  trailing?: boolean;
+  /** The maximum number of milliseconds an invocation can be delayed, for debounced functions. */
+  maxWait?: number;
+  /** The priority of the tasks that invoke the function. */
+  priority?: ExtendedTaskPriority;
+  /** A signal for the tasks that invoke the function, whose priority they follow. Aborting it cancels the function for good. */
+  signal?: AbortSignal | TaskSignal;
+};
+
+/** A debounced or throttled function, which is invoked in tasks. */
+export type DebouncedFunction<Args extends unknown[]> = {
+  (...args: Args): void;
+  /** Cancels the pending invocation, if any. */
+  cancel(): void;
+  /** Synchronously runs the pending invocation, if any. */
+  flush(): void;
+  /** Returns whether an invocation is pending. */
+  pending(): boolean;
+};
+
+/** {@link Scheduler} constructor options. */
+export type SchedulerOptions = {
+  /** The time budget for running tasks back-to-back in a single event loop task, in milliseconds. The default is 0, which runs a single task at a time. */
+  timeSlice?: number;
+  /** If true, the scheduler doesn't share its `MessageChannel` with other schedulers. */
+  isolated?: boolean;
+  /** Overrides the strategies used for host callbacks, per priority, or for delayed tasks (`"delay"`). By default, the best available API is used. */
+  hostCallbackStrategies?: Partial<Record<ExtendedTaskPriority | "delay", HostCallbackStrategy>>;
+  /** If true, the scheduler supports the `"render-blocking"` priority, run with `requestAnimationFrame` by default. */
+  renderBlocking?: boolean;
+  /** If set, tasks that have waited longer than this many milliseconds are run before other tasks, oldest first, and background tasks don't wait for idle time once overdue. The default is 0, which runs tasks in strict priority order. */
+  agingThreshold?: number;
+  /** If true, task runs are recorded as User Timing measures, named after the task's priority and `name`. */
+  userTiming?: boolean;
+  /** If true, tasks posted from within a task without a `signal` inherit the running task's signal, or its priority, unless the options specify otherwise. */
+  inheritTaskContext?: boolean;
+  /** If true, tasks whose callback returns a promise are in flight until it settles, and are rejected right away if their signal is aborted in the meantime. */
+  trackAsyncTasks?: boolean;
+  /** The maximum number of async tasks in flight, overall or per priority. Further tasks of a priority at its limit wait, but continuations still run. Implies `trackAsyncTasks`. */
+  asyncConcurrency?: number | Partial<Record<ExtendedTaskPriority, number>>;
+  /** If true, task errors are reported like uncaught exceptions, with `reportError()`, in addition to rejecting the task's promise, which then isn't also reported as an unhandled rejection. */
+  reportTaskErrors?: boolean;
+};
+
+/** Describes the task a {@link Scheduler} is running. */
+export type CurrentTaskInfo = {
+  /** The task's current priority. */
+  priority: ExtendedTaskPriority;
+  /** The signal the task was posted with, if any. */
+  signal: AbortSignal | TaskSignal | null;
+  /** Whether the task is a `yield()` continuation. */
+  isContinuation: boolean;
+  /** When the task started running, in milliseconds. */
+  startTime: number;
+  /** The task's `name`, if any. */
+  name?: string;
+  /** Whether the task ran because its `timeout` expired. */
+  didTimeout: boolean;
+  /** Returns the time left in the current idle period, for tasks run in idle callbacks, or in the current time slice, in milliseconds. This is 0 for other tasks if time slicing is disabled. */
+  timeRemaining(): number;
+};
+
+/** A task lifecycle event, reported to {@link Scheduler} observers. */
+export type TaskLifecycleRecord = {
+  type: "posted" | "delayexpired" | "start" | "end" | "abort" | "prioritychange";
+  /** Identifies the task within its scheduler. */
+  id: number;
+  /** The task's current priority. */
+  priority: ExtendedTaskPriority;
+  /** Whether the task is a `yield()` continuation. */
+  isContinuation: boolean;
+  /** When the event happened, in milliseconds. */
+  time: number;
+  /** How long the task waited to run after being posted or its delay expiring, in milliseconds. */
+  queueingDelay: number;
+  /** How long the task ran, or has been running, in milliseconds. */
+  runDuration: number;
+  /** The priority before the change, for `"prioritychange"` records. */
+  previousPriority?: ExtendedTaskPriority;
+};
+
+/** Describes a failed task, passed to {@link Scheduler.onerror}. */
+export type TaskErrorRecord = {
+  /** The exception thrown by the task's callback, or the reason the promise it returned was rejected with. */
+  error: unknown;
+  /** Identifies the task within its scheduler. */
+  id: number;
+  /** The priority the task ran at. */
+  priority: ExtendedTaskPriority;
+  /** The task's `name`, if any. */
+  name?: string;
+  /** The stack trace of the `postTask()` call, if `onerror` was set when the task was posted. */
+  postStack?: string;
+};
+
+/** Called synchronously with a {@link TaskLifecycleRecord} for each task lifecycle event. */
+export type TaskLifecycleObserver = (record: TaskLifecycleRecord) => void;
+
+/** The polyfill implementation of {@link globalThis.Scheduler}. */
+export declare class Scheduler implements globalThis.Scheduler {
+  constructor(options?: SchedulerOptions);
+  postTask<T extends unknown>(
+    callback: () => T,
+    options?: ExtendedSchedulerPostTaskOptions
+  ): Promise<T>;
+  yield(options?: SchedulerYieldOptions): Promise<void>;
+  /** Called when a task's callback throws, or the promise it returns is rejected. The `postTask()` stack trace is only captured while this is set. */
+  onerror: ((record: TaskErrorRecord) => void) | null;
+  /** Registers an observer for task lifecycle events. */
+  addObserver(observer: TaskLifecycleObserver): void;
+  /** Unregisters an observer added with {@link Scheduler.addObserver}. */
+  removeObserver(observer: TaskLifecycleObserver): void;
+  /** The number of async tasks in flight, if `trackAsyncTasks` is set. */
+  readonly asyncTasksInFlight: number;
+  /** The task this scheduler is running, or null outside of its tasks. Code run after awaiting within a task runs outside of it. */
+  readonly currentTask: Readonly<CurrentTaskInfo> | null;
+}
+
+/**
+ * Runs `callback` on `scheduler` every `interval` milliseconds, starting after `delay`, which defaults to `interval`, until the signal is aborted or the callback throws, which rejects the returned promise.
+ * @param scheduler The scheduler to post the runs to.
+ */
+export declare function postPeriodicTask(
+  scheduler: Scheduler,
+  callback: (info: PeriodicTaskCallbackInfo) => unknown,
+  options: SchedulerPostPeriodicTaskOptions
+): Promise<never>;
+
+/**
+ * Returns whether the task running on `scheduler`, i.e. the most recently started one, should yield because it used up its time slice, idle period or 5 ms budget, because input is pending, or because a higher priority or overdue task is waiting. Returns false outside of tasks.
+ * @param scheduler The scheduler running the task.
+ */
+export declare function shouldYield(scheduler: Scheduler): boolean;
+
+/**
+ * Returns a debounced version of `func`, like lodash's `debounce()`, which is invoked in tasks.
+ * @param scheduler The scheduler to post the tasks to.
+ */
+export declare function debounce<Args extends unknown[]>(
+  scheduler: globalThis.Scheduler,
+  func: (...args: Args) => unknown,
+  options?: DebounceOptions
+): DebouncedFunction<Args>;
+
+/**
+ * Returns a throttled version of `func`, like lodash's `throttle()`, which is invoked in tasks.
+ * @param scheduler The scheduler to post the tasks to.
+ */
+export declare function throttle<Args extends unknown[]>(
+  scheduler: globalThis.Scheduler,
+  func: (...args: Args) => unknown,
+  options?: Omit<DebounceOptions, "maxWait">
+): DebouncedFunction<Args>;
+
+/** {@link TaskGroup} options. */
+export type TaskGroupOptions = {
+  /** The priority of the group's tasks. The default is `"user-visible"`. */
+  priority?: ExtendedTaskPriority;
+  /** If given, aborting this signal aborts the group. */
+  signal?: AbortSignal;
+};
+
+/** A group of related tasks, posted to a {@link Scheduler} through the group, that can be awaited, aborted and reprioritized as a unit. */
+export declare class TaskGroup {
+  constructor(scheduler: Scheduler, options?: TaskGroupOptions);
+  /** The group's signal, which is aborted with the group and has the group's priority. */
+  readonly signal: TaskSignal;
+  /** The group's priority. */
+  readonly priority: ExtendedTaskPriority;
+  /** The number of tasks posted to the group. */
+  readonly size: number;
+  /** Posts a task to the group. It runs at the group's priority unless `priority` is given, and is aborted with the group, or with its own `signal`. */
+  postTask<T extends unknown>(
+    callback: () => T,
+    options?: ExtendedSchedulerPostTaskOptions
+  ): Promise<T>;
+  /** Resolves with the results of the group's unsettled tasks, including those posted while waiting, or rejects with the first error. */
+  all(): Promise<unknown[]>;
+  /** Resolves with the outcomes of the group's unsettled tasks, including those posted while waiting, once all have settled. */
+  allSettled(): Promise<PromiseSettledResult<unknown>[]>;
+  /** Aborts the group's pending tasks and any tasks posted to it later. */
+  abort(reason?: any): void;
+  /** Changes the priority of the group's tasks, except those posted with an explicit priority. */
+  setPriority(priority: ExtendedTaskPriority): void;
+}
+
+/** {@link TaskPool} options. */
+export type TaskPoolOptions = {
+  /** The maximum number of tasks in flight at once. The default is 1. */
+  concurrency?: number;
+  /** The priority of tasks posted without a priority or `TaskSignal`. The default is `"user-visible"`. */
+  priority?: ExtendedTaskPriority;
+};
+
+/** A concurrency-limited pool of tasks, posted to a {@link Scheduler} through the pool. A task is in flight until the promise returned for it settles. */
+export declare class TaskPool {
+  constructor(scheduler: Scheduler, options?: TaskPoolOptions);
+  /** The maximum number of tasks in flight at once. */
+  readonly concurrency: number;
+  /** The number of tasks in flight. */
+  readonly running: number;
+  /** The number of tasks waiting for a slot. */
+  readonly pending: number;
+  /** Posts a task to the pool. Once a slot is free, waiting tasks are posted to the scheduler by current priority, oldest first. */
+  postTask<T extends unknown>(
+    callback: () => T,
+    options?: ExtendedSchedulerPostTaskOptions
+  ): Promise<Awaited<T>>;
+}
+
+/** {@link WorkerPool} options. */
+export type WorkerPoolOptions = {
+  /** The number of workers. The default is one less than `navigator.hardwareConcurrency`, and at least 1. */
+  size?: number;
+};
+
+/** {@link WorkerPool.postTask} options. */
+export type WorkerPoolPostTaskOptions = {
+  /** Aborting the signal rejects the task, and removes it from the worker if it hasn't run yet. The priority changes of a `TaskSignal` are mirrored to the worker. */
+  signal?: AbortSignal;
+  /** The priority of the task in the worker. */
+  priority?: TaskPriority;
+  /** The number of milliseconds to wait before queueing the task in the worker. */
+  delay?: number;
+};
+
+/** Runs tasks in a pool of dedicated workers that call `exposeWorkerTasks()` from `scheduler-polyfill/worker`, in priority order within each worker. The unfinished tasks of a worker that raises an `error` or `messageerror` event are rejected. */
+export declare class WorkerPool {
+  /**
+   * @param worker The URL of a module worker script, or a function that creates a worker.
+   */
+  constructor(worker: string | URL | (() => Worker), options?: WorkerPoolOptions);
+  /** The number of workers. */
+  readonly size: number;
+  /**
+   * Runs `task` in the least busy worker. `task` is either the name of a task exposed by the workers, or a self-contained function that is sent as source code, which is only run by workers that pass `allowFunctions: true`. The arguments and result must be structured-cloneable.
+   */
+  postTask<T = unknown>(
+    task: string,
+    args?: unknown[],
+    options?: WorkerPoolPostTaskOptions
+  ): Promise<T>;
+  postTask<A extends unknown[], T>(
+    task: (...args: A) => T,
+    args?: A,
+    options?: WorkerPoolPostTaskOptions
+  ): Promise<Awaited<T>>;
+  /** Terminates the workers, rejecting the promises of unfinished tasks. */
+  terminate(): void;
+}
+
+/** The polyfill implementation of {@link globalThis.TaskController}, which also accepts the `"render-blocking"` priority, unlike the global `TaskController` installed by the polyfill. */
+export declare const TaskController: TaskControllerConstructor & {
+  new (options?: {priority?: ExtendedTaskPriority}): TaskController;
+};
+export type TaskController = globalThis.TaskController & {
+  setPriority(priority: ExtendedTaskPriority): void;
+};
+
+/** The polyfill implementation of {@link globalThis.TaskSignal}. */
+export declare const TaskSignal: TaskSignalConstructor;
+export type TaskSignal = globalThis.TaskSignal;
+
+/** The polyfill implementation of {@link globalThis.TaskPriorityChangeEvent}. */
+export declare const TaskPriorityChangeEvent: TaskPriorityChangeEventConstructor;
+export type TaskPriorityChangeEvent = globalThis.TaskPriorityChangeEvent;
+
+/**
+ * Returns a `yield()` function bound to `scheduler`. This is the scheduler's own `yield()` method if it has one, and otherwise schedules continuations with `scheduler.postTask()`.
+ * @param scheduler The scheduler to schedule continuations with.
+ */
+export declare function bindSchedulerYield(
+  scheduler: Pick<globalThis.Scheduler, "postTask"> & Partial<globalThis.Scheduler>
+): (options?: SchedulerYieldOptions) => Promise<void>;
+
+/**
+ * Returns a `postTask()` function for `scheduler` that tracks the running task, so that continuations scheduled by {@link bindSchedulerYield} can inherit its priority and signal.
+ * @param scheduler The scheduler whose `postTask()` is wrapped.
+ */
+export declare function wrapPostTask(
+  scheduler: Pick<globalThis.Scheduler, "postTask">
+): globalThis.Scheduler["postTask"];
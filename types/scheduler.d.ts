@@ -45,6 +45,16 @@ type TaskControllerOptions = {
   priority?: TaskPriority;
 };
 
+/**
+ * {@link TaskSignal.any} options.
+ *
+ * [MDN Reference](https://developer.mozilla.org/docs/Web/API/TaskSignal/any_static#options)
+ */
+type TaskSignalAnyInit = {
+  /** The priority of the returned signal: either a fixed {@link TaskPriority}, or a {@link TaskSignal} whose priority the returned signal follows. The default is `"user-visible"`. */
+  priority?: TaskPriority | TaskSignal;
+};
+
 /** [MDN Reference](https://developer.mozilla.org/docs/Web/API/TaskPriorityChangeEvent/TaskPriorityChangeEvent#options) */
 interface TaskPriorityChangeEventInit extends EventInit {
   /** A string indicating the previous priority of the task. One of `"user-blocking"`, `"user-visible"`, or `"background"`. */
@@ -125,6 +135,14 @@ declare global {
     onprioritychange:
       | null
       | ((this: TaskSignal, event: TaskPriorityChangeEvent) => any);
+    /**
+     * Returns a {@link TaskSignal} that is aborted when any of the given signals is aborted, and whose priority is either fixed or follows another {@link TaskSignal}.
+     * @param signals The signals to observe for abort.
+     * @param init {@link TaskSignalAnyInit} options.
+     *
+     * [MDN Reference](https://developer.mozilla.org/docs/Web/API/TaskSignal/any_static)
+     */
+    static any(signals: AbortSignal[], init?: TaskSignalAnyInit): TaskSignal;
   }
 
   /**
@@ -134,3 +152,12 @@ declare global {
    */
   const scheduler: Scheduler;
 }
+
+/** The type of the {@link TaskController} constructor. */
+export type TaskControllerConstructor = typeof TaskController;
+
+/** The type of the {@link TaskSignal} constructor. */
+export type TaskSignalConstructor = typeof TaskSignal;
+
+/** The type of the {@link TaskPriorityChangeEvent} constructor. */
+export type TaskPriorityChangeEventConstructor = typeof TaskPriorityChangeEvent;
@@ -0,0 +1,38 @@
+/**
+ * Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {Scheduler} from "./ponyfill";
+import type {SchedulerOptions} from "./ponyfill";
+
+/** {@link TestScheduler} constructor options. */
+export type TestSchedulerOptions = Omit<SchedulerOptions, "hostCallbackStrategies">;
+
+/**
+ * A {@link Scheduler} driven by a virtual clock. Tasks only run when the test runs the scheduler, and delayed tasks expire by virtual time.
+ */
+export declare class TestScheduler extends Scheduler {
+  constructor(options?: TestSchedulerOptions);
+  /** Returns the current virtual time, in milliseconds, starting at 0. */
+  now(): number;
+  /** Runs the next host callback, advancing the virtual clock to when it is due. Resolves to whether anything was run. */
+  runNext(): Promise<boolean>;
+  /** Runs everything that is runnable without advancing the virtual clock. */
+  runUntilIdle(): Promise<void>;
+  /** Advances the virtual clock by `ms` milliseconds, running tasks as they come due. */
+  advanceBy(ms: number): Promise<void>;
+  /** Runs until there is nothing left to run, advancing the virtual clock through delayed tasks. */
+  runAll(): Promise<void>;
+}
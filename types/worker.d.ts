@@ -0,0 +1,38 @@
+/**
+ * Copyright 2026 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {Scheduler} from "./ponyfill";
+
+/** {@link exposeWorkerTasks} options. */
+export type ExposeWorkerTasksOptions = {
+  /** The scheduler to run tasks on. The default is a new {@link Scheduler}. */
+  scheduler?: Scheduler;
+  /** Whether to run functions posted by the pool, which are evaluated from their source code, rather than only named tasks. The default is false. */
+  allowFunctions?: boolean;
+  /** Where messages are received from and sent to. The default is the worker's global scope. */
+  scope?: Pick<EventTarget, "addEventListener"> & {
+    postMessage(message: any): void;
+    start?(): void;
+  };
+};
+
+/**
+ * Runs the tasks a `WorkerPool` posts to this worker, in priority order, on a scheduler. `tasks` maps task names to the functions that implement them, which are called with the arguments passed to `WorkerPool.postTask()` and can return a promise. Returns the scheduler.
+ */
+export declare function exposeWorkerTasks(
+  tasks: Record<string, (...args: any[]) => unknown>,
+  options?: ExposeWorkerTasksOptions
+): Scheduler;